@@ -0,0 +1,130 @@
+const { pool } = require('./db');
+const { coOrganizerCondition } = require('./organizers');
+
+// Organizer analytics. Booking activity (bookings over time, lead time and
+// cancellations) comes from the event_daily_stats table, which a trigger on
+// bookings keeps pre-aggregated per event and day; it covers bookings made
+// within the range. Fill rate, room utilization and top events cover events
+// taking place within the range, with their current bookings.
+
+// Published (or since archived) events the organizer runs or co-organizes (every
+// organizer's when organizerId is null) taking place in [$2, $3), with the seats booked on each;
+// used as a CTE by the queries below
+const EVENTS_IN_RANGE = `
+  events_in_range AS (
+    SELECT e.id, e.title, e.date, e.end_date, e.room_id, e.available_seats,
+    COALESCE(b.seats, 0) as seats_booked,
+    e.available_seats + COALESCE(b.seats, 0) as capacity
+    FROM events e
+    LEFT JOIN LATERAL (
+      SELECT SUM(seats) as seats FROM bookings WHERE event_id = e.id
+    ) b ON TRUE
+    WHERE ($1::int IS NULL OR e.user_id = $1 OR ${coOrganizerCondition('e.id', '$1')})
+    AND e.deleted_at IS NULL AND e.status IN ('published', 'archived')
+    AND e.date >= $2::timestamptz AND e.date < $3::timestamptz
+    AND ($4::int IS NULL OR e.id = $4)
+  )`;
+
+// Helper function to turn numeric strings from Postgres into numbers, keeping nulls
+const toNumber = (value) => (value === null ? null : Number(value));
+
+// Gather every analytics section for a date range [from, to), bucketing booking
+// activity by day, week or month
+const getAnalytics = async ({ organizerId = null, from, to, bucket, eventId = null, limit }) => {
+  const range = [organizerId, from, to, eventId];
+  
+  const activityScope = `
+    FROM event_daily_stats s
+    JOIN events e ON s.event_id = e.id
+    WHERE ($1::int IS NULL OR e.user_id = $1 OR ${coOrganizerCondition('e.id', '$1')})
+    AND s.day >= $2::date AND s.day < $3::timestamp
+    AND ($4::int IS NULL OR s.event_id = $4)`;
+  
+  const [activity, timeline, events, topEvents, rooms] = await Promise.all([
+    pool.query(
+      `SELECT COALESCE(SUM(s.bookings), 0) as bookings,
+       COALESCE(SUM(s.seats_booked), 0) as seats_booked,
+       COALESCE(SUM(s.cancellations), 0) as cancellations,
+       COALESCE(SUM(s.seats_cancelled), 0) as seats_cancelled,
+       ROUND(SUM(s.cancellations)::numeric / NULLIF(SUM(s.bookings), 0), 4) as cancellation_rate,
+       ROUND(SUM(s.lead_time_hours) / NULLIF(SUM(s.bookings), 0), 1) as avg_lead_time_hours
+       ${activityScope}`,
+      range
+    ),
+    pool.query(
+      `SELECT to_char(date_trunc($5, s.day), 'YYYY-MM-DD') as period, s.event_id, e.title,
+       SUM(s.bookings) as bookings, SUM(s.seats_booked) as seats_booked,
+       SUM(s.cancellations) as cancellations, SUM(s.seats_cancelled) as seats_cancelled
+       ${activityScope}
+       GROUP BY 1, 2, 3
+       ORDER BY 1, 2`,
+      [...range, bucket]
+    ),
+    pool.query(
+      `WITH ${EVENTS_IN_RANGE}
+       SELECT COUNT(*) as events, COALESCE(SUM(seats_booked), 0) as seats_filled, COALESCE(SUM(capacity), 0) as capacity,
+       ROUND(SUM(seats_booked)::numeric / NULLIF(SUM(capacity), 0), 4) as fill_rate
+       FROM events_in_range`,
+      range
+    ),
+    pool.query(
+      `WITH ${EVENTS_IN_RANGE}
+       SELECT id as event_id, title, date, seats_booked, capacity,
+       ROUND(seats_booked::numeric / NULLIF(capacity, 0), 4) as fill_rate
+       FROM events_in_range
+       ORDER BY seats_booked DESC, fill_rate DESC NULLS LAST, id
+       LIMIT $5`,
+      [...range, limit]
+    ),
+    // Seat utilization fills each event's room to its capacity; time utilization
+    // is the share of the range the room is in use (events without an end count as zero)
+    pool.query(
+      `WITH ${EVENTS_IN_RANGE}
+       SELECT r.id as room_id, r.name as location, r.capacity as room_capacity,
+       COUNT(*) as events,
+       SUM(e.seats_booked) as seats_booked,
+       ROUND(SUM(e.seats_booked)::numeric / NULLIF(COUNT(*) * r.capacity, 0), 4) as seat_utilization,
+       ROUND(SUM(EXTRACT(EPOCH FROM (COALESCE(e.end_date, e.date) - e.date))) / 3600, 1) as hours_in_use,
+       ROUND(
+         (SUM(EXTRACT(EPOCH FROM (COALESCE(e.end_date, e.date) - e.date)))
+         / EXTRACT(EPOCH FROM ($3::timestamptz - $2::timestamptz)))::numeric,
+         4
+       ) as time_utilization
+       FROM events_in_range e
+       JOIN rooms r ON e.room_id = r.id
+       GROUP BY r.id
+       ORDER BY seat_utilization DESC NULLS LAST, r.id`,
+      range
+    )
+  ]);
+  
+  const summary = { ...activity.rows[0], ...events.rows[0] };
+  
+  return {
+    range: { from, to, bucket },
+    summary: Object.fromEntries(Object.entries(summary).map(([key, value]) => [key, toNumber(value)])),
+    bookingsOverTime: timeline.rows.map((row) => ({
+      ...row,
+      bookings: toNumber(row.bookings),
+      seats_booked: toNumber(row.seats_booked),
+      cancellations: toNumber(row.cancellations),
+      seats_cancelled: toNumber(row.seats_cancelled)
+    })),
+    topEvents: topEvents.rows.map((row) => ({
+      ...row,
+      seats_booked: toNumber(row.seats_booked),
+      capacity: toNumber(row.capacity),
+      fill_rate: toNumber(row.fill_rate)
+    })),
+    locations: rooms.rows.map((row) => ({
+      ...row,
+      events: toNumber(row.events),
+      seats_booked: toNumber(row.seats_booked),
+      seat_utilization: toNumber(row.seat_utilization),
+      hours_in_use: toNumber(row.hours_in_use),
+      time_utilization: toNumber(row.time_utilization)
+    }))
+  };
+};
+
+module.exports = { getAnalytics };
@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV reading and writing for attendee exports and event imports
+
+// Parse CSV text into an array of rows, each an array of field strings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+};
+
+// Quote a value for CSV output; values that a spreadsheet would run as a
+// formula get a leading apostrophe
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a header row and an array of objects
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(formatField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = { parseCsv, toCsv };
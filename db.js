@@ -0,0 +1,20 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+
+// Database connection settings, shared by the pool and the LISTEN connection in realtime.js
+const dbConfig = {
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+  // DB_SSL=false for a local database without SSL, such as one the tests run against
+  ssl: process.env.DB_SSL === 'false' ? false : {
+    rejectUnauthorized: false // Required for Render.com PostgreSQL
+  }
+};
+
+// Database connection
+const pool = new Pool(dbConfig);
+
+module.exports = { pool, dbConfig };
@@ -0,0 +1,66 @@
+// Helper function to build an error carrying an HTTP status (and optional field details)
+const createError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// Helper function to pass errors from async route handlers on to the error handler
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Messages for unique constraint violations that mean "you already did this"
+const UNIQUE_VIOLATION_MESSAGES = {
+  users_email_key: 'Email already exists',
+  bookings_event_id_user_id_key: 'You have already booked this event',
+  waitlist_event_id_user_id_key: 'You are already on the waitlist for this event',
+  rooms_user_id_name_key: 'You already have a room with that name'
+};
+
+// Messages for check constraints that input can break
+const CHECK_VIOLATION_MESSAGES = {
+  events_end_after_start: 'end_date must be after date'
+};
+
+// Central error handler: every error response is { error, details? }
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
+  
+  if (err.status && err.status < 500) {
+    const body = { error: err.message };
+    if (err.details) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+  
+  // An outside service (such as the payment provider) failed; its message is safe to show
+  if (err.status === 502) {
+    return res.status(502).json({ error: err.message });
+  }
+  
+  // Postgres errors that come from bad input rather than a server fault
+  if (err.code === '23505') {
+    return res.status(400).json({ error: UNIQUE_VIOLATION_MESSAGES[err.constraint] || 'Resource already exists' });
+  }
+  if (err.code === '23514' && CHECK_VIOLATION_MESSAGES[err.constraint]) {
+    return res.status(422).json({ error: CHECK_VIOLATION_MESSAGES[err.constraint] });
+  }
+  if (err.code === '23503') {
+    return res.status(409).json({ error: 'Referenced record does not exist or is still in use' });
+  }
+  if (['22P02', '22007', '22008', '22003'].includes(err.code)) {
+    return res.status(400).json({ error: 'Invalid input value' });
+  }
+  
+  console.error(err);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+module.exports = { createError, asyncHandler, errorHandler };
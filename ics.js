@@ -0,0 +1,89 @@
+// iCalendar (RFC 5545) rendering for event downloads and calendar feeds.
+// Times are passed in already formatted as UTC (YYYYMMDDTHHMMSSZ), so the
+// output does not depend on the server's time zone.
+
+const PRODUCT_ID = '-//Event Management System//Events//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'event-management';
+
+// Escape a TEXT value: backslashes, separators and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line so no line is longer than 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Build the VEVENT lines for one event row
+const eventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:event-${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${event.dtstart}`
+  ];
+  
+  if (event.dtend) lines.push(`DTEND:${event.dtend}`);
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  
+  const location = [event.location, event.address].filter(Boolean).join(', ');
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  
+  if (event.organizer_email) {
+    const name = event.organizer_name ? `;CN="${event.organizer_name.replace(/"/g, "'")}"` : '';
+    lines.push(`ORGANIZER${name}:mailto:${event.organizer_email}`);
+  }
+  
+  // Clients use SEQUENCE and LAST-MODIFIED to pick up edits to an event they already have
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  if (event.last_modified) lines.push(`LAST-MODIFIED:${event.last_modified}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  
+  return lines;
+};
+
+// Build a VCALENDAR document from event rows
+const buildCalendar = (events, { name } = {}) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  
+  if (name) {
+    // Ask subscribed clients to poll hourly so changes and cancellations show up
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    lines.push('X-PUBLISHED-TTL:PT1H');
+  }
+  
+  for (const event of events) {
+    lines.push(...eventLines(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar };
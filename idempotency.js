@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+// Idempotency keys. A client retrying a request it is unsure went through sends the
+// same Idempotency-Key header, and gets the first request's response again, marked
+// with Idempotent-Replayed: true, instead of the request running twice. Keys belong
+// to the user and last IDEMPOTENCY_KEY_HOURS hours (24 by default). Server errors
+// and 429s are not kept, so those requests can be retried with the same key.
+
+const KEY_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+// Helper function to fingerprint a request, so a key cannot be reused for another one
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || null]))
+  .digest('hex');
+
+// Middleware making a route idempotent for requests with an Idempotency-Key header
+// (use after authenticateToken and before validate, so the request is fingerprinted as sent)
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+  
+  const requestHash = hashRequest(req);
+  
+  const run = async () => {
+    // Claim the key, taking it over if its previous use has expired
+    const claimed = await pool.query(
+      `INSERT INTO idempotency_keys (user_id, key, request_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+       ON CONFLICT (user_id, key) DO UPDATE SET
+       request_hash = EXCLUDED.request_hash, response_status = NULL, response_body = NULL,
+       created_at = NOW(), expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+       RETURNING id`,
+      [req.user.id, key, requestHash, KEY_HOURS]
+    );
+    
+    if (claimed.rows.length === 0) {
+      const stored = await pool.query(
+        'SELECT request_hash, response_status, response_body FROM idempotency_keys WHERE user_id = $1 AND key = $2',
+        [req.user.id, key]
+      );
+      const previous = stored.rows[0];
+      
+      if (!previous) {
+        // Cleared in the meantime by a failed first request: try again
+        return run();
+      }
+      if (previous.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+      if (previous.response_status === null) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(previous.response_status).json(previous.response_body);
+    }
+    
+    const keyId = claimed.rows[0].id;
+    
+    // Keep the response before sending it, so a retry never finds the key still running
+    // after the client has its answer
+    const send = res.json.bind(res);
+    let kept = false;
+    res.json = (body) => {
+      kept = res.statusCode < 500 && res.statusCode !== 429;
+      const saved = kept
+        ? pool.query(
+          'UPDATE idempotency_keys SET response_status = $2, response_body = $3 WHERE id = $1',
+          [keyId, res.statusCode, JSON.stringify(body === undefined ? null : body)]
+        )
+        : Promise.resolve();
+      
+      saved
+        .catch((err) => console.error('Saving idempotent response failed:', err.message))
+        .then(() => send(body));
+      return res;
+    };
+    
+    // Any response that was not kept frees the key again
+    res.on('finish', () => {
+      if (!kept) {
+        pool.query('DELETE FROM idempotency_keys WHERE id = $1', [keyId])
+          .catch((err) => console.error('Releasing idempotency key failed:', err.message));
+      }
+    });
+    
+    next();
+  };
+  
+  run().catch(next);
+};
+
+// Forget expired keys; returns how many were removed
+const deleteExpiredIdempotencyKeys = async () => {
+  const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+  return result.rowCount;
+};
+
+module.exports = { idempotent, deleteExpiredIdempotencyKeys };
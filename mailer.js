@@ -0,0 +1,55 @@
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+// Email transports. MAIL_TRANSPORT picks one: smtp (SMTP_HOST, SMTP_PORT,
+// SMTP_USER, SMTP_PASSWORD), file (one JSON line per message appended to
+// MAIL_FILE, for local development and tests) or console. Without it, smtp is
+// used when SMTP_HOST is set and console otherwise. Each transport is an
+// object with an async send({ to, subject, text }).
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Events <no-reply@localhost>';
+
+const TRANSPORTS = {
+  smtp: () => {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+    
+    return {
+      send: ({ to, subject, text }) => transporter.sendMail({ from: MAIL_FROM, to, subject, text })
+    };
+  },
+  
+  file: () => {
+    const file = process.env.MAIL_FILE || 'mail.log';
+    
+    return {
+      send: (message) => fs.promises.appendFile(
+        file,
+        JSON.stringify({ from: MAIL_FROM, ...message, date: new Date().toISOString() }) + '\n'
+      )
+    };
+  },
+  
+  console: () => ({
+    send: async ({ to, subject, text }) => {
+      console.log(`--- email to ${to}\nSubject: ${subject}\n\n${text}\n---`);
+    }
+  })
+};
+
+// Build the transport named by MAIL_TRANSPORT (or the default described above)
+const createTransport = (name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) => {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown mail transport ${name}; use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return TRANSPORTS[name]();
+};
+
+module.exports = { createTransport };
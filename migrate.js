@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// Migrations live in migrations/ as <version>_<name>.up.sql with a matching .down.sql,
+// applied in version order and recorded in the schema_migrations table
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for the advisory lock that keeps two migrators from running at once
+const MIGRATION_LOCK_KEY = 7243019;
+
+// Read the migration files, ordered by version
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version,
+      name,
+      up: path.join(MIGRATIONS_DIR, file),
+      down: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => row.version);
+};
+
+// Run a callback with the migration lock held on a dedicated client
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+};
+
+// Run one migration script and record the change in the same transaction
+const runScript = async (client, file, record) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(fs.readFileSync(file, 'utf8'));
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
+
+// List migrations with whether each has been applied
+const status = async () => {
+  const client = await pool.connect();
+  try {
+    const applied = await getAppliedVersions(client);
+    return loadMigrations().map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.includes(migration.version)
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+const getPendingMigrations = async () => {
+  return (await status()).filter((migration) => !migration.applied);
+};
+
+// Apply all pending migrations in order
+const migrate = async () => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter((migration) => !applied.includes(migration.version));
+    
+    for (const migration of pending) {
+      await runScript(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ));
+      console.log(`Applied ${migration.version}_${migration.name}`);
+    }
+    
+    return pending;
+  });
+};
+
+// Revert the most recently applied migrations, newest first
+const rollback = async (steps = 1) => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+    
+    for (const version of toRevert) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration || !fs.existsSync(migration.down)) {
+        throw new Error(`No down script found for migration ${version}`);
+      }
+      
+      await runScript(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [version]
+      ));
+      console.log(`Reverted ${migration.version}_${migration.name}`);
+    }
+    
+    return toRevert;
+  });
+};
+
+module.exports = { migrate, rollback, status, getPendingMigrations };
+
+// Command line: node migrate.js [up | down [steps] | status]
+if (require.main === module) {
+  const [command = 'up', steps] = process.argv.slice(2);
+  
+  const commands = {
+    up: async () => {
+      const applied = await migrate();
+      if (applied.length === 0) console.log('Database is up to date');
+    },
+    down: async () => {
+      const reverted = await rollback(parseInt(steps) || 1);
+      if (reverted.length === 0) console.log('Nothing to roll back');
+    },
+    status: async () => {
+      for (const migration of await status()) {
+        console.log(`${migration.applied ? 'applied' : 'pending'}  ${migration.version}_${migration.name}`);
+      }
+    }
+  };
+  
+  if (!commands[command]) {
+    console.error('Usage: node migrate.js [up | down [steps] | status]');
+    process.exit(1);
+  }
+  
+  commands[command]()
+    .then(() => pool.end())
+    .catch((err) => {
+      console.error('Migration failed:', err);
+      pool.end();
+      process.exitCode = 1;
+    });
+}
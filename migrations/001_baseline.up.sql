@@ -0,0 +1,35 @@
+-- Baseline schema: the users, events and bookings tables as first deployed.
+-- IF NOT EXISTS lets databases created before migrations adopt this version.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  password VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS events (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  date TIMESTAMP NOT NULL,
+  location VARCHAR(100) NOT NULL,
+  available_seats INTEGER NOT NULL,
+  user_id INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Unique constraint ensures one booking per user per event
+CREATE TABLE IF NOT EXISTS bookings (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER REFERENCES events(id),
+  user_id INTEGER REFERENCES users(id),
+  seats INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS events_date_idx ON events (date);
+CREATE INDEX IF NOT EXISTS events_user_id_idx ON events (user_id);
+CREATE INDEX IF NOT EXISTS bookings_user_id_idx ON bookings (user_id);
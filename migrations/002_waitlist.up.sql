@@ -0,0 +1,9 @@
+-- Waitlist for sold-out events, served in id order when seats free up
+CREATE TABLE IF NOT EXISTS waitlist (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER REFERENCES events(id),
+  user_id INTEGER REFERENCES users(id),
+  seats INTEGER NOT NULL CHECK (seats > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event_id, user_id)
+);
@@ -0,0 +1,14 @@
+-- Copy room names back onto events as free-text locations
+ALTER TABLE events ADD COLUMN location VARCHAR(100);
+
+UPDATE events e SET location = r.name
+FROM rooms r
+WHERE e.room_id = r.id;
+
+UPDATE events SET location = '' WHERE location IS NULL;
+ALTER TABLE events ALTER COLUMN location SET NOT NULL;
+
+DROP INDEX IF EXISTS events_room_id_date_idx;
+ALTER TABLE events DROP COLUMN room_id;
+ALTER TABLE events DROP COLUMN end_date;
+DROP TABLE IF EXISTS rooms;
@@ -0,0 +1,40 @@
+-- Rooms, one set of named rooms per organizer
+CREATE TABLE IF NOT EXISTS rooms (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  address TEXT,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  amenities TEXT[] NOT NULL DEFAULT '{}',
+  user_id INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS end_date TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS room_id INTEGER REFERENCES rooms(id);
+
+-- Turn each organizer's free-text locations into rooms big enough for their events
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'location'
+  ) THEN
+    INSERT INTO rooms (name, capacity, user_id)
+    SELECT e.location, GREATEST(MAX(e.available_seats + COALESCE(b.seats, 0)), 1), e.user_id
+    FROM events e
+    LEFT JOIN (
+      SELECT event_id, SUM(seats) as seats FROM bookings GROUP BY event_id
+    ) b ON b.event_id = e.id
+    GROUP BY e.user_id, e.location
+    ON CONFLICT (user_id, name) DO NOTHING;
+
+    UPDATE events e SET room_id = r.id
+    FROM rooms r
+    WHERE e.room_id IS NULL AND r.user_id = e.user_id AND r.name = e.location;
+
+    ALTER TABLE events DROP COLUMN location;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS events_room_id_date_idx ON events (room_id, date);
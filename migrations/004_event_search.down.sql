@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS events_search_idx;
+CREATE INDEX IF NOT EXISTS events_date_idx ON events (date);
+DROP INDEX IF EXISTS events_date_id_idx;
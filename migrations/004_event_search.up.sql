@@ -0,0 +1,7 @@
+-- Keyset pagination orders by (date, id), which supersedes the plain date index
+CREATE INDEX IF NOT EXISTS events_date_id_idx ON events (date, id);
+DROP INDEX IF EXISTS events_date_idx;
+
+-- Full-text search over title and description
+CREATE INDEX IF NOT EXISTS events_search_idx ON events
+  USING GIN (to_tsvector('english', title || ' ' || COALESCE(description, '')));
@@ -0,0 +1,13 @@
+-- User roles; existing users who already run events become organizers
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'role'
+  ) THEN
+    ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'attendee'
+      CHECK (role IN ('attendee', 'organizer', 'admin'));
+    UPDATE users SET role = 'organizer'
+    WHERE id IN (SELECT DISTINCT user_id FROM events);
+  END IF;
+END $$;
@@ -0,0 +1,3 @@
+ALTER TABLE events DROP COLUMN IF EXISTS sequence;
+ALTER TABLE events DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token;
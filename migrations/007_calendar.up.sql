@@ -0,0 +1,7 @@
+-- Secret token in each user's personal calendar feed URL
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+
+-- Change tracking, so subscribed calendars pick up edits to an event
+ALTER TABLE events ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0;
+UPDATE events SET updated_at = created_at WHERE created_at IS NOT NULL;
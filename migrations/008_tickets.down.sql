@@ -0,0 +1,3 @@
+ALTER TABLE bookings DROP COLUMN IF EXISTS checked_in_at;
+DROP INDEX IF EXISTS bookings_ticket_code_idx;
+ALTER TABLE bookings DROP COLUMN IF EXISTS ticket_code;
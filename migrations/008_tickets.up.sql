@@ -0,0 +1,8 @@
+-- Unguessable ticket code for every booking, and when it was scanned at the door
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS ticket_code VARCHAR(32)
+  DEFAULT replace(gen_random_uuid()::text, '-', '');
+UPDATE bookings SET ticket_code = replace(gen_random_uuid()::text, '-', '') WHERE ticket_code IS NULL;
+ALTER TABLE bookings ALTER COLUMN ticket_code SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS bookings_ticket_code_idx ON bookings (ticket_code);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS events_series_id_date_idx;
+ALTER TABLE events DROP COLUMN IF EXISTS series_id;
+DROP TABLE IF EXISTS event_series;
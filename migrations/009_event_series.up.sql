@@ -0,0 +1,15 @@
+-- Recurring event series; each occurrence is an ordinary bookable event row
+CREATE TABLE IF NOT EXISTS event_series (
+  id SERIAL PRIMARY KEY,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval > 0),
+  until TIMESTAMP,
+  count INTEGER CHECK (count > 0),
+  exdates DATE[] NOT NULL DEFAULT '{}',
+  user_id INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES event_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS events_series_id_date_idx ON events (series_id, date);
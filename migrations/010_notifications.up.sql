@@ -0,0 +1,25 @@
+-- Outbox of emails to send, written in the same transaction as the change they report
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  recipient VARCHAR(100) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS notification_outbox_pending_idx
+  ON notification_outbox (next_attempt_at) WHERE status = 'pending';
+
+-- Per-user opt-outs by kind of email; users without a row get everything
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  bookings BOOLEAN NOT NULL DEFAULT TRUE,
+  event_changes BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,17 @@
+-- Email verification; accounts from before verification existed count as verified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+UPDATE users SET email_verified_at = COALESCE(created_at, NOW()) WHERE email_verified_at IS NULL;
+
+-- Single-use emailed tokens for verifying an address or resetting a password, stored hashed
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS account_tokens_user_id_idx ON account_tokens (user_id, purpose, created_at);
@@ -0,0 +1,4 @@
+ALTER TABLE bookings DROP COLUMN IF EXISTS order_id;
+ALTER TABLE bookings DROP COLUMN IF EXISTS tier_id;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS ticket_tiers;
@@ -0,0 +1,41 @@
+-- Ticket tiers of an event, each with its own price, quota and sales window.
+-- sold counts seats in bookings and in orders still waiting for payment.
+CREATE TABLE IF NOT EXISTS ticket_tiers (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  quota INTEGER NOT NULL CHECK (quota > 0),
+  sold INTEGER NOT NULL DEFAULT 0 CHECK (sold >= 0 AND sold <= quota),
+  sales_start TIMESTAMP,
+  sales_end TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event_id, name)
+);
+
+-- Orders for paid tickets; the seats are held until the payment confirms or the hold expires
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  event_id INTEGER REFERENCES events(id) ON DELETE SET NULL,
+  tier_id INTEGER REFERENCES ticket_tiers(id) ON DELETE SET NULL,
+  seats INTEGER NOT NULL CHECK (seats > 0),
+  amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+  currency CHAR(3) NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'cancelled', 'refunded')),
+  provider VARCHAR(20) NOT NULL,
+  payment_id VARCHAR(100) UNIQUE,
+  refund_id VARCHAR(100),
+  expires_at TIMESTAMP NOT NULL,
+  paid_at TIMESTAMP,
+  refunded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS orders_user_id_idx ON orders (user_id);
+CREATE INDEX IF NOT EXISTS orders_pending_idx ON orders (event_id, expires_at) WHERE status = 'pending';
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS tier_id INTEGER REFERENCES ticket_tiers(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id);
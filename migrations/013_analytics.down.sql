@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS bookings_stats ON bookings;
+DROP FUNCTION IF EXISTS record_booking_stats();
+DROP TABLE IF EXISTS event_daily_stats;
@@ -0,0 +1,59 @@
+-- Booking activity per event and day, kept up to date by a trigger on bookings so
+-- analytics read a small pre-aggregated table instead of scanning every booking.
+-- Bookings are deleted when cancelled, so this is also the only record of cancellations.
+-- lead_time_hours is the sum over the day's bookings of the hours left until the event.
+CREATE TABLE IF NOT EXISTS event_daily_stats (
+  event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  bookings INTEGER NOT NULL DEFAULT 0,
+  seats_booked INTEGER NOT NULL DEFAULT 0,
+  cancellations INTEGER NOT NULL DEFAULT 0,
+  seats_cancelled INTEGER NOT NULL DEFAULT 0,
+  lead_time_hours NUMERIC NOT NULL DEFAULT 0,
+  PRIMARY KEY (event_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS event_daily_stats_day_idx ON event_daily_stats (day);
+
+CREATE OR REPLACE FUNCTION record_booking_stats() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO event_daily_stats (event_id, day, bookings, seats_booked, lead_time_hours)
+    SELECT NEW.event_id, COALESCE(NEW.created_at, NOW())::date, 1, NEW.seats,
+      EXTRACT(EPOCH FROM (e.date - COALESCE(NEW.created_at, NOW()))) / 3600
+    FROM events e WHERE e.id = NEW.event_id
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      bookings = event_daily_stats.bookings + 1,
+      seats_booked = event_daily_stats.seats_booked + EXCLUDED.seats_booked,
+      lead_time_hours = event_daily_stats.lead_time_hours + EXCLUDED.lead_time_hours;
+  ELSIF TG_OP = 'DELETE' THEN
+    INSERT INTO event_daily_stats (event_id, day, cancellations, seats_cancelled)
+    VALUES (OLD.event_id, CURRENT_DATE, 1, OLD.seats)
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      cancellations = event_daily_stats.cancellations + 1,
+      seats_cancelled = event_daily_stats.seats_cancelled + EXCLUDED.seats_cancelled;
+  ELSIF NEW.seats <> OLD.seats THEN
+    -- Seats added count as booked, seats given up as cancelled
+    INSERT INTO event_daily_stats (event_id, day, seats_booked, seats_cancelled)
+    VALUES (NEW.event_id, CURRENT_DATE, GREATEST(NEW.seats - OLD.seats, 0), GREATEST(OLD.seats - NEW.seats, 0))
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      seats_booked = event_daily_stats.seats_booked + EXCLUDED.seats_booked,
+      seats_cancelled = event_daily_stats.seats_cancelled + EXCLUDED.seats_cancelled;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bookings_stats ON bookings;
+CREATE TRIGGER bookings_stats
+  AFTER INSERT OR DELETE OR UPDATE OF seats ON bookings
+  FOR EACH ROW EXECUTE FUNCTION record_booking_stats();
+
+-- Existing bookings; earlier cancellations were never recorded
+INSERT INTO event_daily_stats (event_id, day, bookings, seats_booked, lead_time_hours)
+SELECT b.event_id, COALESCE(b.created_at, NOW())::date, COUNT(*), SUM(b.seats),
+  SUM(EXTRACT(EPOCH FROM (e.date - COALESCE(b.created_at, NOW()))) / 3600)
+FROM bookings b
+JOIN events e ON b.event_id = e.id
+GROUP BY 1, 2
+ON CONFLICT (event_id, day) DO NOTHING;
@@ -0,0 +1,15 @@
+DROP TRIGGER IF EXISTS users_audit ON users;
+DROP TRIGGER IF EXISTS rooms_audit ON rooms;
+DROP TRIGGER IF EXISTS bookings_audit ON bookings;
+DROP TRIGGER IF EXISTS events_audit ON events;
+DROP FUNCTION IF EXISTS record_audit_log();
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS reject_audit_log_change();
+
+-- Fails if a deleted room's name has been reused since
+DROP INDEX IF EXISTS rooms_user_id_name_key;
+ALTER TABLE rooms ADD CONSTRAINT rooms_user_id_name_key UNIQUE (user_id, name);
+
+ALTER TABLE rooms DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE events DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE events DROP COLUMN IF EXISTS status;
@@ -0,0 +1,142 @@
+-- Event lifecycle: drafts are only visible to their organizer, cancelled events stay
+-- visible but take no bookings, archived events are past events kept read-only.
+ALTER TABLE events ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'published', 'cancelled', 'archived'));
+
+-- Soft delete: deleted events and rooms are hidden everywhere but can be restored
+ALTER TABLE events ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Room names only need to be unique among rooms that are not deleted; the index keeps
+-- the constraint's name, which errors.js maps to a message
+ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_user_id_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS rooms_user_id_name_key ON rooms (user_id, name) WHERE deleted_at IS NULL;
+
+-- Append-only record of changes to events, bookings, rooms and users, written by
+-- triggers so no code path can skip it. actor_id is the user who made the change
+-- (app.actor_id, set per transaction), or null for changes made by the system.
+-- Updates keep only the fields that changed. The ids have no foreign keys, since
+-- entries outlive the rows and users they mention.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+  entity_type VARCHAR(10) NOT NULL CHECK (entity_type IN ('event', 'booking', 'room', 'user')),
+  entity_id INTEGER NOT NULL,
+  owner_id INTEGER,
+  event_id INTEGER,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_log_owner_id_idx ON audit_log (owner_id);
+CREATE INDEX IF NOT EXISTS audit_log_event_id_idx ON audit_log (event_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_id_idx ON audit_log (actor_id);
+
+-- Trigger arguments: entity type, owner column, event column ('' for none), columns
+-- left out, columns whose values are hidden, and columns whose changes alone are
+-- not worth an entry (such as seat counts moved by every booking)
+CREATE OR REPLACE FUNCTION record_audit_log() RETURNS trigger AS $$
+DECLARE
+  ignored TEXT[] := string_to_array(TG_ARGV[3], ',');
+  hidden TEXT[] := string_to_array(TG_ARGV[4], ',');
+  quiet TEXT[] := string_to_array(TG_ARGV[5], ',');
+  old_row JSONB;
+  new_row JSONB;
+  row_data JSONB;
+  before_values JSONB;
+  after_values JSONB;
+  action TEXT;
+  field TEXT;
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    old_row := to_jsonb(OLD) - ignored;
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    new_row := to_jsonb(NEW) - ignored;
+  END IF;
+  row_data := COALESCE(new_row, old_row);
+
+  IF TG_OP = 'UPDATE' THEN
+    SELECT jsonb_object_agg(o.key, o.value), jsonb_object_agg(o.key, new_row -> o.key)
+    INTO before_values, after_values
+    FROM jsonb_each(old_row) o
+    WHERE o.value IS DISTINCT FROM new_row -> o.key;
+
+    IF before_values IS NULL OR before_values - quiet = '{}'::jsonb THEN
+      RETURN NULL;
+    END IF;
+
+    action := CASE
+      WHEN old_row ->> 'deleted_at' IS NULL AND new_row ->> 'deleted_at' IS NOT NULL THEN 'delete'
+      WHEN old_row ->> 'deleted_at' IS NOT NULL AND new_row ->> 'deleted_at' IS NULL THEN 'restore'
+      ELSE 'update'
+    END;
+  ELSE
+    before_values := old_row;
+    after_values := new_row;
+    action := CASE WHEN TG_OP = 'INSERT' THEN 'create' ELSE 'delete' END;
+  END IF;
+
+  FOREACH field IN ARRAY hidden LOOP
+    IF before_values ? field THEN
+      before_values := jsonb_set(before_values, ARRAY[field], '"[hidden]"');
+    END IF;
+    IF after_values ? field THEN
+      after_values := jsonb_set(after_values, ARRAY[field], '"[hidden]"');
+    END IF;
+  END LOOP;
+
+  INSERT INTO audit_log (actor_id, action, entity_type, entity_id, owner_id, event_id, before, after)
+  VALUES (
+    NULLIF(current_setting('app.actor_id', TRUE), '')::int,
+    action,
+    TG_ARGV[0],
+    (row_data ->> 'id')::int,
+    (row_data ->> TG_ARGV[1])::int,
+    CASE WHEN TG_ARGV[2] <> '' THEN (row_data ->> TG_ARGV[2])::int END,
+    before_values,
+    after_values
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_audit ON events;
+CREATE TRIGGER events_audit
+  AFTER INSERT OR UPDATE OR DELETE ON events
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('event', 'user_id', 'id', 'updated_at,sequence', '', 'available_seats');
+
+DROP TRIGGER IF EXISTS bookings_audit ON bookings;
+CREATE TRIGGER bookings_audit
+  AFTER INSERT OR UPDATE OR DELETE ON bookings
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('booking', 'user_id', 'event_id', '', 'ticket_code', '');
+
+DROP TRIGGER IF EXISTS rooms_audit ON rooms;
+CREATE TRIGGER rooms_audit
+  AFTER INSERT OR UPDATE OR DELETE ON rooms
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('room', 'user_id', '', '', '', '');
+
+DROP TRIGGER IF EXISTS users_audit ON users;
+CREATE TRIGGER users_audit
+  AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('user', 'id', '', 'token_version', 'password,calendar_token', '');
+
+-- Entries can only be added, never changed or removed
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_change();
@@ -0,0 +1,47 @@
+-- Live event updates: every committed change to an event's seats, details or status is
+-- announced on the event_updates channel, which each server instance LISTENs to (see
+-- realtime.js). The trigger is deferred to commit time, so the payload carries the final
+-- seat counts of the transaction and identical announcements collapse into one.
+CREATE OR REPLACE FUNCTION notify_event_update() RETURNS trigger AS $$
+DECLARE
+  kind TEXT;
+  payload JSON;
+BEGIN
+  IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    kind := 'deleted';
+  ELSIF OLD.status <> 'cancelled' AND NEW.status = 'cancelled' THEN
+    kind := 'cancelled';
+  ELSIF (OLD.title, OLD.description, OLD.date, OLD.end_date, OLD.room_id, OLD.status, OLD.deleted_at)
+    IS DISTINCT FROM (NEW.title, NEW.description, NEW.date, NEW.end_date, NEW.room_id, NEW.status, NEW.deleted_at) THEN
+    kind := 'updated';
+  ELSIF OLD.available_seats <> NEW.available_seats THEN
+    kind := 'seats';
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  SELECT json_build_object(
+    'event_id', e.id,
+    'type', kind,
+    'title', e.title,
+    'date', e.date,
+    'end_date', e.end_date,
+    'room_id', e.room_id,
+    'status', e.status,
+    'available_seats', e.available_seats,
+    'booked_seats', (SELECT COALESCE(SUM(seats), 0) FROM bookings WHERE event_id = e.id)
+  )
+  INTO payload
+  FROM events e
+  WHERE e.id = NEW.id;
+
+  PERFORM pg_notify('event_updates', payload::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_notify_update ON events;
+CREATE CONSTRAINT TRIGGER events_notify_update
+  AFTER UPDATE ON events
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION notify_event_update();
@@ -0,0 +1,14 @@
+DROP TRIGGER IF EXISTS users_audit ON users;
+CREATE TRIGGER users_audit
+  AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('user', 'id', '', 'token_version', 'password,calendar_token', '');
+
+DELETE FROM account_tokens WHERE purpose = 'unlock_account';
+ALTER TABLE account_tokens DROP CONSTRAINT IF EXISTS account_tokens_purpose_check;
+ALTER TABLE account_tokens ADD CONSTRAINT account_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password'));
+
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_logins;
+
+DROP TABLE IF EXISTS rate_limits;
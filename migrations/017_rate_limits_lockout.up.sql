@@ -0,0 +1,24 @@
+-- Rate limit counters shared by every server instance (RATE_LIMIT_STORE=postgres),
+-- one fixed window per limiter and key
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at);
+
+-- Failed logins in a row, and the time until which the account is locked because of them
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Locked accounts are emailed a single-use unlock link
+ALTER TABLE account_tokens DROP CONSTRAINT IF EXISTS account_tokens_purpose_check;
+ALTER TABLE account_tokens ADD CONSTRAINT account_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password', 'unlock_account'));
+
+-- Counting failed logins is not worth an audit entry each; locks still are
+DROP TRIGGER IF EXISTS users_audit ON users;
+CREATE TRIGGER users_audit
+  AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('user', 'id', '', 'token_version,failed_logins', 'password,calendar_token', '');
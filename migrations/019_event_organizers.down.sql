@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS event_organizers_audit ON event_organizers;
+DROP TABLE IF EXISTS event_organizers;
+
+-- Entries about co-organizers stay, since the audit log cannot be changed
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_entity_type_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_entity_type_check
+  CHECK (entity_type IN ('event', 'booking', 'room', 'user')) NOT VALID;
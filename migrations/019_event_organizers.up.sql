@@ -0,0 +1,25 @@
+-- Co-organizers of events, invited by email. An invitation is pending until the invited
+-- organizer accepts it, which they can do until it expires.
+CREATE TABLE IF NOT EXISTS event_organizers (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES events(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  permission VARCHAR(20) NOT NULL CHECK (permission IN ('view_stats', 'manage_attendees', 'edit_event')),
+  invited_by INTEGER REFERENCES users(id),
+  expires_at TIMESTAMP,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS event_organizers_user_id_idx ON event_organizers (user_id, event_id);
+
+-- Grants are audited like the events they are for
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_entity_type_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_entity_type_check
+  CHECK (entity_type IN ('event', 'booking', 'room', 'user', 'organizer'));
+
+DROP TRIGGER IF EXISTS event_organizers_audit ON event_organizers;
+CREATE TRIGGER event_organizers_audit
+  AFTER INSERT OR UPDATE OR DELETE ON event_organizers
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('organizer', 'user_id', 'event_id', '', '', '');
@@ -0,0 +1,46 @@
+CREATE OR REPLACE FUNCTION notify_event_update() RETURNS trigger AS $$
+DECLARE
+  kind TEXT;
+  payload JSON;
+BEGIN
+  IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    kind := 'deleted';
+  ELSIF OLD.status <> 'cancelled' AND NEW.status = 'cancelled' THEN
+    kind := 'cancelled';
+  ELSIF (OLD.title, OLD.description, OLD.date, OLD.end_date, OLD.room_id, OLD.status, OLD.deleted_at)
+    IS DISTINCT FROM (NEW.title, NEW.description, NEW.date, NEW.end_date, NEW.room_id, NEW.status, NEW.deleted_at) THEN
+    kind := 'updated';
+  ELSIF OLD.available_seats <> NEW.available_seats THEN
+    kind := 'seats';
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  SELECT json_build_object(
+    'event_id', e.id,
+    'type', kind,
+    'title', e.title,
+    'date', e.date,
+    'end_date', e.end_date,
+    'room_id', e.room_id,
+    'status', e.status,
+    'available_seats', e.available_seats,
+    'booked_seats', (SELECT COALESCE(SUM(seats), 0) FROM bookings WHERE event_id = e.id)
+  )
+  INTO payload
+  FROM events e
+  WHERE e.id = NEW.id;
+
+  PERFORM pg_notify('event_updates', payload::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_end_after_start;
+
+ALTER TABLE event_series DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE event_series ALTER COLUMN until TYPE TIMESTAMP USING until AT TIME ZONE 'UTC';
+
+ALTER TABLE events DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE events ALTER COLUMN end_date TYPE TIMESTAMP USING end_date AT TIME ZONE 'UTC';
+ALTER TABLE events ALTER COLUMN date TYPE TIMESTAMP USING date AT TIME ZONE 'UTC';
@@ -0,0 +1,54 @@
+-- Event times become instants (TIMESTAMPTZ) and each event gets the IANA time zone it
+-- takes place in. Times were stored as UTC wall-clock times, which is how existing rows
+-- are converted; existing events and series are in UTC.
+ALTER TABLE events ALTER COLUMN date TYPE TIMESTAMPTZ USING date AT TIME ZONE 'UTC';
+ALTER TABLE events ALTER COLUMN end_date TYPE TIMESTAMPTZ USING end_date AT TIME ZONE 'UTC';
+ALTER TABLE events ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE event_series ALTER COLUMN until TYPE TIMESTAMPTZ USING until AT TIME ZONE 'UTC';
+ALTER TABLE event_series ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- An event ends after it starts; ends that do not are dropped
+UPDATE events SET end_date = NULL WHERE end_date <= date;
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_end_after_start;
+ALTER TABLE events ADD CONSTRAINT events_end_after_start CHECK (end_date IS NULL OR end_date > date);
+
+-- Live updates also announce time zone changes, and carry the time zone
+CREATE OR REPLACE FUNCTION notify_event_update() RETURNS trigger AS $$
+DECLARE
+  kind TEXT;
+  payload JSON;
+BEGIN
+  IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    kind := 'deleted';
+  ELSIF OLD.status <> 'cancelled' AND NEW.status = 'cancelled' THEN
+    kind := 'cancelled';
+  ELSIF (OLD.title, OLD.description, OLD.date, OLD.end_date, OLD.time_zone, OLD.room_id, OLD.status, OLD.deleted_at)
+    IS DISTINCT FROM (NEW.title, NEW.description, NEW.date, NEW.end_date, NEW.time_zone, NEW.room_id, NEW.status, NEW.deleted_at) THEN
+    kind := 'updated';
+  ELSIF OLD.available_seats <> NEW.available_seats THEN
+    kind := 'seats';
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  SELECT json_build_object(
+    'event_id', e.id,
+    'type', kind,
+    'title', e.title,
+    'date', e.date,
+    'end_date', e.end_date,
+    'time_zone', e.time_zone,
+    'room_id', e.room_id,
+    'status', e.status,
+    'available_seats', e.available_seats,
+    'booked_seats', (SELECT COALESCE(SUM(seats), 0) FROM bookings WHERE event_id = e.id)
+  )
+  INTO payload
+  FROM events e
+  WHERE e.id = NEW.id;
+
+  PERFORM pg_notify('event_updates', payload::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
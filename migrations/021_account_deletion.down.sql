@@ -0,0 +1,10 @@
+DROP FUNCTION IF EXISTS anonymize_audit_log(INTEGER, TEXT[]);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deleted accounts stay anonymized, but become ordinary users again
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
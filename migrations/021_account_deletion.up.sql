@@ -0,0 +1,33 @@
+-- Deleted accounts. The user row stays, anonymized, so the events, bookings and orders
+-- kept as history still have an owner; deleted_at marks it as no longer a person.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- The audit log stays append-only, except that anonymize_audit_log() may blank out
+-- fields of a deleted user's entries; nothing else about an entry can change
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND current_setting('app.anonymizing_audit_log', TRUE) = 'on' THEN
+    IF (NEW.id, NEW.actor_id, NEW.action, NEW.entity_type, NEW.entity_id, NEW.owner_id, NEW.event_id, NEW.created_at)
+      IS NOT DISTINCT FROM (OLD.id, OLD.actor_id, OLD.action, OLD.entity_type, OLD.entity_id, OLD.owner_id, OLD.event_id, OLD.created_at) THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replace the given fields in every entry about a user with "[deleted]"
+CREATE OR REPLACE FUNCTION anonymize_audit_log(target_user_id INTEGER, fields TEXT[]) RETURNS void AS $$
+DECLARE
+  field TEXT;
+BEGIN
+  PERFORM set_config('app.anonymizing_audit_log', 'on', TRUE);
+  FOREACH field IN ARRAY fields LOOP
+    UPDATE audit_log SET
+      before = CASE WHEN before ? field THEN jsonb_set(before, ARRAY[field], '"[deleted]"') ELSE before END,
+      after = CASE WHEN after ? field THEN jsonb_set(after, ARRAY[field], '"[deleted]"') ELSE after END
+    WHERE entity_type = 'user' AND entity_id = target_user_id AND (before ? field OR after ? field);
+  END LOOP;
+  PERFORM set_config('app.anonymizing_audit_log', '', TRUE);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS booking_transfers;
+DROP TABLE IF EXISTS booking_attendees;
@@ -0,0 +1,33 @@
+-- Named attendees of a booking, at most one per seat; seats without one are unnamed
+CREATE TABLE IF NOT EXISTS booking_attendees (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS booking_attendees_booking_id_idx ON booking_attendees (booking_id);
+
+-- Offers to hand a booking, or some of its seats, to another user. to_user_id is set when
+-- the address belonged to an account when offered; otherwise whoever registers it can accept.
+-- attendee_ids are the named attendees that go along with the seats.
+CREATE TABLE IF NOT EXISTS booking_transfers (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_user_id INTEGER NOT NULL REFERENCES users(id),
+  to_user_id INTEGER REFERENCES users(id),
+  to_email VARCHAR(100) NOT NULL,
+  seats INTEGER NOT NULL CHECK (seats > 0),
+  attendee_ids INTEGER[] NOT NULL DEFAULT '{}',
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  received_booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS booking_transfers_booking_id_idx ON booking_transfers (booking_id);
+CREATE INDEX IF NOT EXISTS booking_transfers_to_idx ON booking_transfers (to_user_id, to_email) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS booking_transfers_from_user_id_idx ON booking_transfers (from_user_id);
@@ -0,0 +1,12 @@
+DROP INDEX IF EXISTS orders_refunding_idx;
+
+-- Refunds that were never sent leave their orders paid
+UPDATE orders SET status = 'paid' WHERE status IN ('refunding', 'refund_failed');
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE orders DROP COLUMN IF EXISTS refund_last_error;
+ALTER TABLE orders DROP COLUMN IF EXISTS refund_next_attempt_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS refund_attempts;
@@ -0,0 +1,13 @@
+-- Refunds are sent to the payment provider after the transaction that calls off a paid
+-- booking commits: the order is marked refunding, and a worker sends the refund with
+-- retries, so a rolled back change never leaves money refunded behind it.
+-- Orders whose refund keeps failing end up refund_failed, for someone to look into.
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'cancelled', 'refunding', 'refunded', 'refund_failed'));
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_next_attempt_at TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS orders_refunding_idx ON orders (refund_next_attempt_at) WHERE status = 'refunding';
@@ -0,0 +1,9 @@
+-- Failed logins and lockouts are now counted per email address in the rate limit store,
+-- so that addresses without an account are locked out the same way
+DROP TRIGGER IF EXISTS users_audit ON users;
+CREATE TRIGGER users_audit
+  AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION record_audit_log('user', 'id', '', 'token_version', 'password,calendar_token', '');
+
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_logins;
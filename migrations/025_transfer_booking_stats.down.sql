@@ -0,0 +1,28 @@
+CREATE OR REPLACE FUNCTION record_booking_stats() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO event_daily_stats (event_id, day, bookings, seats_booked, lead_time_hours)
+    SELECT NEW.event_id, COALESCE(NEW.created_at, NOW())::date, 1, NEW.seats,
+      EXTRACT(EPOCH FROM (e.date - COALESCE(NEW.created_at, NOW()))) / 3600
+    FROM events e WHERE e.id = NEW.event_id
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      bookings = event_daily_stats.bookings + 1,
+      seats_booked = event_daily_stats.seats_booked + EXCLUDED.seats_booked,
+      lead_time_hours = event_daily_stats.lead_time_hours + EXCLUDED.lead_time_hours;
+  ELSIF TG_OP = 'DELETE' THEN
+    INSERT INTO event_daily_stats (event_id, day, cancellations, seats_cancelled)
+    VALUES (OLD.event_id, CURRENT_DATE, 1, OLD.seats)
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      cancellations = event_daily_stats.cancellations + 1,
+      seats_cancelled = event_daily_stats.seats_cancelled + EXCLUDED.seats_cancelled;
+  ELSIF NEW.seats <> OLD.seats THEN
+    -- Seats added count as booked, seats given up as cancelled
+    INSERT INTO event_daily_stats (event_id, day, seats_booked, seats_cancelled)
+    VALUES (NEW.event_id, CURRENT_DATE, GREATEST(NEW.seats - OLD.seats, 0), GREATEST(OLD.seats - NEW.seats, 0))
+    ON CONFLICT (event_id, day) DO UPDATE SET
+      seats_booked = event_daily_stats.seats_booked + EXCLUDED.seats_booked,
+      seats_cancelled = event_daily_stats.seats_cancelled + EXCLUDED.seats_cancelled;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,2 @@
+ALTER TABLE ticket_tiers ALTER COLUMN sales_end TYPE TIMESTAMP USING sales_end AT TIME ZONE 'UTC';
+ALTER TABLE ticket_tiers ALTER COLUMN sales_start TYPE TIMESTAMP USING sales_start AT TIME ZONE 'UTC';
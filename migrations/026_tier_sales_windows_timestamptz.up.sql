@@ -0,0 +1,5 @@
+-- Tier sales windows become instants (TIMESTAMPTZ) like event times, so the UTC offset
+-- a client sends is kept. They were stored as UTC wall-clock times, which is how
+-- existing rows are converted.
+ALTER TABLE ticket_tiers ALTER COLUMN sales_start TYPE TIMESTAMPTZ USING sales_start AT TIME ZONE 'UTC';
+ALTER TABLE ticket_tiers ALTER COLUMN sales_end TYPE TIMESTAMPTZ USING sales_end AT TIME ZONE 'UTC';
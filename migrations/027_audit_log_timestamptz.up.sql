@@ -0,0 +1,4 @@
+-- Audit log entries are stamped with an instant (TIMESTAMPTZ), so filtering them by a
+-- time with a UTC offset compares like with like. Existing stamps came from
+-- CURRENT_TIMESTAMP in the database's time zone, which is how the cast reads them.
+ALTER TABLE audit_log ALTER COLUMN created_at TYPE TIMESTAMPTZ;
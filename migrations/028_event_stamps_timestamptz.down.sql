@@ -0,0 +1,2 @@
+ALTER TABLE events ALTER COLUMN updated_at TYPE TIMESTAMP;
+ALTER TABLE events ALTER COLUMN created_at TYPE TIMESTAMP;
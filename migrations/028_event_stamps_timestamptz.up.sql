@@ -0,0 +1,6 @@
+-- Event creation and change stamps become instants (TIMESTAMPTZ) like event times, so
+-- calendar feeds can give LAST-MODIFIED in UTC whatever the database's time zone.
+-- Existing stamps came from CURRENT_TIMESTAMP and NOW() in that time zone, which is
+-- how the cast reads them.
+ALTER TABLE events ALTER COLUMN created_at TYPE TIMESTAMPTZ;
+ALTER TABLE events ALTER COLUMN updated_at TYPE TIMESTAMPTZ;
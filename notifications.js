@@ -0,0 +1,243 @@
+const { pool } = require('./db');
+const { createTransport } = require('./mailer');
+const { BATCH_SIZE, startWorker, runWorkerCommand } = require('./workers');
+const { DEFAULT_TIME_ZONE, formatLocal } = require('./timezones');
+
+// Email notifications go through an outbox: queueNotification() writes a row in
+// the same transaction as the change it reports, and a worker sends due rows
+// through the mail transport, retrying failures with exponential backoff.
+
+const MAX_ATTEMPTS = 5;
+
+// Helper function to format a stored timestamp for an email
+const formatDate = (date) => new Date(date).toUTCString();
+
+// Helper function to format an event time for an email, as local time in the event's
+// time zone (messages queued before they carried one are in UTC)
+const formatEventDate = (date, timeZone = DEFAULT_TIME_ZONE) => `${formatLocal(date, timeZone)} (${timeZone})`;
+
+const seatsText = (seats) => `${seats} seat${seats === 1 ? '' : 's'}`;
+
+// What each co-organizer permission level allows (see organizers.js)
+const PERMISSION_TEXT = {
+  view_stats: 'viewing its stats',
+  manage_attendees: 'viewing its stats and managing attendees',
+  edit_event: 'editing the event and managing attendees'
+};
+
+// Helper function to mention the refund of a paid booking, when there was one
+const refundText = (data) => (data.refund_cents
+  ? `\nA refund of ${new Intl.NumberFormat('en', { style: 'currency', currency: data.currency }).format(data.refund_cents / 100)} is on its way.\n`
+  : '');
+
+// Email templates, each in a category users can opt out of (see notification_preferences);
+// account emails and invitations have no category and are always sent
+const TEMPLATES = {
+  verify_email: {
+    render: (data) => ({
+      subject: 'Confirm your email address',
+      text: `Hi ${data.name},\n\n`
+        + `Please confirm your email address by opening this link:\n\n${data.link}\n\n`
+        + `The link expires on ${formatDate(data.expires_at)}.\n`
+    })
+  },
+  reset_password: {
+    render: (data) => ({
+      subject: 'Reset your password',
+      text: `Hi ${data.name},\n\n`
+        + `Someone asked to reset the password of your account. To choose a new one, open this link:\n\n${data.link}\n\n`
+        + `The link expires on ${formatDate(data.expires_at)}. If it wasn't you, you can ignore this email.\n`
+    })
+  },
+  unlock_account: {
+    render: (data) => ({
+      subject: 'Your account has been locked',
+      text: `Hi ${data.name},\n\n`
+        + `After several failed attempts to log in, your account is locked for a while. If it was you,`
+        + ` you can unlock it right away by opening this link:\n\n${data.link}\n\n`
+        + `The link expires on ${formatDate(data.expires_at)}. If it wasn't you, someone may be guessing`
+        + ` your password; consider resetting it.\n`
+    })
+  },
+  organizer_invited: {
+    render: (data) => ({
+      subject: `Invitation to co-organize ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `${data.inviter_name} invited you to co-organize "${data.title}" on ${formatEventDate(data.date, data.time_zone)}`
+        + ` (${PERMISSION_TEXT[data.permission]}). To accept, open:\n\n${data.link}\n\n`
+        + `The invitation expires on ${formatDate(data.expires_at)}.\n`
+    })
+  },
+  
+  booking_confirmed: {
+    category: 'bookings',
+    render: (data) => ({
+      subject: `Booking confirmed: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `Your booking of ${seatsText(data.seats)} for "${data.title}" on ${formatEventDate(data.date, data.time_zone)}`
+        + ` at ${data.location} is confirmed.\n\nTicket code: ${data.ticket_code}\n`
+    })
+  },
+  waitlist_promoted: {
+    category: 'bookings',
+    render: (data) => ({
+      subject: `You're in: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `Seats opened up for "${data.title}" on ${formatEventDate(data.date, data.time_zone)} at ${data.location},`
+        + ` and your waitlist request for ${seatsText(data.seats)} is now a booking.\n\nTicket code: ${data.ticket_code}\n`
+    })
+  },
+  // Sent to addresses without an account too, which have no name to greet
+  booking_transfer_offered: {
+    render: (data) => ({
+      subject: `${data.sender_name} is passing on tickets for ${data.title}`,
+      text: `Hi${data.name ? ` ${data.name}` : ''},\n\n`
+        + `${data.sender_name} would like to give you ${seatsText(data.seats)} for "${data.title}"`
+        + ` on ${formatEventDate(data.date, data.time_zone)} at ${data.location}. To accept or decline, open:\n\n${data.link}\n\n`
+        + (data.name ? '' : 'You will need to sign up with this email address first. ')
+        + `The offer expires on ${formatDate(data.expires_at)}.\n`
+    })
+  },
+  booking_transfer_accepted: {
+    category: 'bookings',
+    render: (data) => ({
+      subject: `Tickets passed on: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `${data.receiver_name} accepted the ${seatsText(data.seats)} for "${data.title}" on ${formatEventDate(data.date, data.time_zone)}`
+        + ` you offered them. ${data.seats_left ? `Your booking now has ${seatsText(data.seats_left)}.` : 'Your booking is now theirs.'}\n`
+    })
+  },
+  booking_transfer_declined: {
+    category: 'bookings',
+    render: (data) => ({
+      subject: `Tickets not accepted: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `${data.receiver_name} declined the ${seatsText(data.seats)} for "${data.title}" on ${formatEventDate(data.date, data.time_zone)}`
+        + ` you offered them. The seats are still yours.\n`
+    })
+  },
+  booking_cancelled: {
+    category: 'bookings',
+    render: (data) => ({
+      subject: `Booking cancelled: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `Your booking of ${seatsText(data.seats)} for "${data.title}" on ${formatEventDate(data.date, data.time_zone)} has been cancelled.\n`
+        + refundText(data)
+    })
+  },
+  event_updated: {
+    category: 'event_changes',
+    render: (data) => ({
+      subject: `Event changed: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `"${data.title}", which you have booked, now takes place on ${formatEventDate(data.date, data.time_zone)} at ${data.location}`
+        + ` (it was ${formatEventDate(data.previous_date, data.previous_time_zone)} at ${data.previous_location}).\n`
+    })
+  },
+  event_cancelled: {
+    category: 'event_changes',
+    render: (data) => ({
+      subject: `Event cancelled: ${data.title}`,
+      text: `Hi ${data.name},\n\n`
+        + `"${data.title}" on ${formatEventDate(data.date, data.time_zone)} has been cancelled,`
+        + ` and with it your booking of ${seatsText(data.seats)}.\n`
+        + refundText(data)
+    })
+  }
+};
+
+// Render a queued message into its subject and text
+const renderNotification = (template, data) => {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown notification template ${template}`);
+  }
+  return TEMPLATES[template].render(data);
+};
+
+// Queue a templated email for each of the given users who has not opted out of
+// its category. Runs on the caller's client, so it is only sent if the change commits.
+const queueNotification = async (client, userIds, template, data) => {
+  const { category } = TEMPLATES[template];
+  
+  await client.query(
+    `INSERT INTO notification_outbox (user_id, recipient, template, data)
+     SELECT u.id, u.email, $2, $3::jsonb || jsonb_build_object('name', u.name)
+     FROM users u
+     LEFT JOIN notification_preferences p ON p.user_id = u.id
+     WHERE u.id = ANY($1::int[]) ${category ? `AND COALESCE(p.${category}, TRUE)` : ''}`,
+    [[].concat(userIds), template, data]
+  );
+};
+
+// Queue a templated email to an address that has no account, such as the receiver of
+// a booking transfer; like queueNotification, it is only sent if the change commits
+const queueEmail = async (client, recipient, template, data) => {
+  await client.query(
+    'INSERT INTO notification_outbox (recipient, template, data) VALUES ($1, $2, $3)',
+    [recipient, template, data]
+  );
+};
+
+// Send one batch of due messages, returning how many were attempted (see workers.js)
+const processOutbox = async (transport) => {
+  const batch = await pool.query(
+    `WITH claimed AS (
+       UPDATE notification_outbox SET attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+       WHERE id IN (
+         SELECT id FROM notification_outbox
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT * FROM claimed ORDER BY id`,
+    [BATCH_SIZE]
+  );
+  
+  for (const message of batch.rows) {
+    try {
+      await transport.send({ to: message.recipient, ...renderNotification(message.template, message.data) });
+      await pool.query(
+        "UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+        [message.id]
+      );
+    } catch (err) {
+      // Retry after 1, 2, 4 and 8 minutes, then give up
+      await pool.query(
+        `UPDATE notification_outbox SET
+         status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+         next_attempt_at = NOW() + INTERVAL '1 minute' * power(2, attempts - 1),
+         last_error = $3
+         WHERE id = $1`,
+        [message.id, MAX_ATTEMPTS, err.message]
+      );
+    }
+  }
+  
+  return batch.rows.length;
+};
+
+// Poll the outbox every NOTIFICATION_POLL_MS milliseconds (5 seconds by default),
+// sending batches until it is drained. Returns a function that stops the worker.
+const startNotificationWorker = (transport = createTransport()) => startWorker(
+  () => processOutbox(transport),
+  'Notification',
+  parseInt(process.env.NOTIFICATION_POLL_MS) || 5000
+);
+
+module.exports = { queueNotification, queueEmail, processOutbox, startNotificationWorker };
+
+// Command line: node notifications.js [worker | once]
+// worker runs the sender on its own (with NOTIFICATION_WORKER=false on the servers);
+// once sends what is due and exits
+if (require.main === module) {
+  const transport = createTransport();
+  runWorkerCommand('notifications.js', {
+    name: 'Notification',
+    items: 'notifications',
+    start: () => startNotificationWorker(transport),
+    processBatch: () => processOutbox(transport)
+  });
+}
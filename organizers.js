@@ -0,0 +1,24 @@
+// Co-organizers. An event's organizer can invite other organizers by email to help run
+// it, at one of these permission levels, each including the ones before it:
+//   view_stats        the event's attendance, analytics and audit log
+//   manage_attendees  its attendee list and check-in
+//   edit_event        editing, cancelling, deleting and restoring it, its ticket tiers,
+//                     and the room it is held in
+// Changing whole series, inviting and removing co-organizers and handing the event over
+// stay with the organizer.
+
+const COORGANIZER_PERMISSIONS = ['view_stats', 'manage_attendees', 'edit_event'];
+
+// The permission levels that include the given one
+const permissionsIncluding = (permission) => COORGANIZER_PERMISSIONS.slice(COORGANIZER_PERMISSIONS.indexOf(permission));
+
+// SQL condition for the user in userParam co-organizing the event in eventColumn (having
+// accepted), with one of the permission levels in levelsParam (see permissionsIncluding)
+// or, without it, any
+const coOrganizerCondition = (eventColumn, userParam, levelsParam = null) => `EXISTS (
+  SELECT 1 FROM event_organizers o
+  WHERE o.event_id = ${eventColumn} AND o.user_id = ${userParam} AND o.accepted_at IS NOT NULL
+  ${levelsParam ? `AND o.permission = ANY(${levelsParam}::text[])` : ''}
+)`;
+
+module.exports = { COORGANIZER_PERMISSIONS, permissionsIncluding, coOrganizerCondition };
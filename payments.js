@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Payment providers. PAYMENT_PROVIDER names the one to use (mock by default).
+// A provider is an object with:
+//   name
+//   createPayment({ orderId, amountCents, currency, description }) -> { id, checkoutUrl }
+//   refund({ paymentId, amountCents, currency, idempotencyKey }) -> { id }
+//     where a repeat with the same idempotencyKey returns the first refund instead of refunding again
+//   parseWebhook(rawBody, headers) -> { type: 'payment.succeeded' | 'payment.failed', paymentId }
+//     throwing if the request is not a genuine notification from the provider
+//
+// The mock provider settles payments through POST /api/payments/mock/:paymentId/:outcome
+// and is refused in production.
+
+// Helper function to check an HMAC-SHA256 signature (hex) of a raw webhook body
+const verifySignature = (rawBody, signature, secret) => {
+  if (!secret || typeof signature !== 'string' || !rawBody) return false;
+  
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const PROVIDERS = {
+  mock: () => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider cannot be used in production');
+    }
+    
+    const baseUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const refunds = new Map(); // idempotency key -> refund
+    
+    return {
+      name: 'mock',
+      createPayment: async () => {
+        const id = `mock_pay_${crypto.randomBytes(12).toString('hex')}`;
+        return { id, checkoutUrl: `${baseUrl}/api/payments/mock/${id}/succeed` };
+      },
+      refund: async ({ idempotencyKey }) => {
+        if (!refunds.has(idempotencyKey)) {
+          refunds.set(idempotencyKey, { id: `mock_refund_${crypto.randomBytes(12).toString('hex')}` });
+        }
+        return refunds.get(idempotencyKey);
+      },
+      // Notifications are JSON { type, payment_id } signed with PAYMENT_WEBHOOK_SECRET
+      // in an X-Mock-Signature header
+      parseWebhook: (rawBody, headers) => {
+        if (!verifySignature(rawBody, headers['x-mock-signature'], process.env.PAYMENT_WEBHOOK_SECRET)) {
+          throw new Error('Invalid webhook signature');
+        }
+        const { type, payment_id } = JSON.parse(rawBody);
+        return { type, paymentId: payment_id };
+      }
+    };
+  }
+};
+
+let provider;
+
+// Get the configured provider, created on first use so that a server without
+// paid events never needs one
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown payment provider ${name}; use one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+// Whether the mock provider's settle route should answer
+const mockPaymentsEnabled = () => (process.env.PAYMENT_PROVIDER || 'mock') === 'mock' && process.env.NODE_ENV !== 'production';
+
+module.exports = { getPaymentProvider, mockPaymentsEnabled };
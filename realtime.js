@@ -0,0 +1,89 @@
+const { Client } = require('pg');
+const { dbConfig } = require('./db');
+
+// Live event updates. A trigger on events announces every committed change to an
+// event's seats, details or status on the event_updates channel (see migration 016),
+// whichever server instance made it. Each instance keeps a single LISTEN connection,
+// opened on first use, and hands the announcements to the subscribers of the event.
+//
+// An update is { event_id, type, title, date, end_date, time_zone, room_id, status,
+// available_seats, booked_seats } with type one of seats, updated, cancelled or deleted.
+
+const CHANNEL = 'event_updates';
+
+const subscribers = new Map(); // event id -> Set of listeners
+let listening = null;
+
+// Helper function to call every listener of an event
+const dispatch = (eventId, update) => {
+  for (const listener of subscribers.get(eventId) || []) {
+    listener(update);
+  }
+};
+
+// Open the LISTEN connection. If it is lost, every subscriber is sent a resync update,
+// since announcements made in the meantime are gone; the next subscription reconnects.
+const listen = async () => {
+  const client = new Client(dbConfig);
+  
+  client.on('notification', (message) => {
+    let update;
+    try {
+      update = JSON.parse(message.payload);
+    } catch (err) {
+      return;
+    }
+    dispatch(update.event_id, update);
+  });
+  
+  client.on('error', (err) => {
+    console.error('Event updates connection failed:', err.message);
+    listening = null;
+    client.end().catch(() => {});
+    for (const eventId of subscribers.keys()) {
+      dispatch(eventId, { event_id: eventId, type: 'resync' });
+    }
+  });
+  
+  await client.connect();
+  try {
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (err) {
+    client.end().catch(() => {});
+    throw err;
+  }
+  return client;
+};
+
+// Helper function to open the LISTEN connection once
+const ensureListening = () => {
+  if (!listening) {
+    listening = listen().catch((err) => {
+      listening = null;
+      throw err;
+    });
+  }
+  return listening;
+};
+
+// Call listener with every update of an event from now on. Resolves, once listening,
+// to a function that unsubscribes.
+const subscribeToEvent = async (eventId, listener) => {
+  await ensureListening();
+  
+  if (!subscribers.has(eventId)) {
+    subscribers.set(eventId, new Set());
+  }
+  subscribers.get(eventId).add(listener);
+  
+  return () => {
+    const listeners = subscribers.get(eventId);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      subscribers.delete(eventId);
+    }
+  };
+};
+
+module.exports = { subscribeToEvent };
@@ -0,0 +1,60 @@
+// Expansion of recurrence rules into occurrence start times, in the spirit
+// of iCalendar's RRULE with FREQ, INTERVAL, UNTIL, COUNT and EXDATE.
+// Steps are taken on the wall clock of the event's time zone, so occurrences
+// keep their local time across daylight saving changes.
+
+const { toWallClock, fromWallClock } = require('./timezones');
+
+const MAX_OCCURRENCES = 200;
+
+// Helper function to step a start time forward by n periods of the frequency.
+// Monthly steps keep the day of the month and return null for months that
+// are too short for it, so those months are skipped rather than shifted.
+const advance = (start, frequency, n) => {
+  const next = new Date(start.getTime());
+  
+  switch (frequency) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + n);
+      return next;
+    case 'weekly':
+      next.setUTCDate(next.getUTCDate() + 7 * n);
+      return next;
+    case 'monthly':
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + n);
+      next.setUTCDate(start.getUTCDate());
+      return next.getUTCDate() === start.getUTCDate() ? next : null;
+    default:
+      throw new Error(`Unknown frequency ${frequency}`);
+  }
+};
+
+// Expand a rule into the start times of its occurrences, in order. The
+// first occurrence is the start itself; exdates are local calendar days
+// (YYYY-MM-DD) to leave out, and do not count towards count. Returns null
+// if the rule would produce more than MAX_OCCURRENCES occurrences.
+const expandRecurrence = ({ start, frequency, interval = 1, until, count, exdates = [], timeZone = 'UTC' }) => {
+  const first = toWallClock(new Date(start), timeZone);
+  const last = until ? new Date(until) : null;
+  const skipped = new Set(exdates.map((day) => new Date(day).toISOString().slice(0, 10)));
+  
+  const occurrences = [];
+  for (let step = 0; ; step += interval) {
+    const wallClock = advance(first, frequency, step);
+    if (!wallClock) continue;
+    
+    const occurrence = fromWallClock(wallClock, timeZone);
+    if (last && occurrence > last) break;
+    if (count && occurrences.length >= count) break;
+    
+    if (skipped.has(wallClock.toISOString().slice(0, 10))) continue;
+    if (occurrences.length >= MAX_OCCURRENCES) return null;
+    
+    occurrences.push(occurrence);
+  }
+  
+  return occurrences;
+};
+
+module.exports = { expandRecurrence, MAX_OCCURRENCES };
@@ -0,0 +1,89 @@
+const { pool } = require('./db');
+const { BATCH_SIZE, startWorker, runWorkerCommand } = require('./workers');
+const { getPaymentProvider } = require('./payments');
+
+// Refunds of paid orders. requestRefund() marks an order refunding in the same transaction
+// as the change that calls it off, and a worker sends due refunds to the payment provider
+// once that has committed, retrying failures with exponential backoff. Every refund is
+// sent with an idempotency key for its order, so a retry never refunds an order twice.
+
+const MAX_ATTEMPTS = 8;
+
+// Mark a paid order (or one whose payment arrived too late) to be refunded, returning it.
+// Runs on the caller's client, so nothing is refunded unless the change commits.
+const requestRefund = async (client, order) => {
+  const result = await client.query(
+    `UPDATE orders SET status = 'refunding', refund_attempts = 0, refund_next_attempt_at = NOW(), refund_last_error = NULL
+     WHERE id = $1 RETURNING *`,
+    [order.id]
+  );
+  return result.rows[0];
+};
+
+// Send one claimed refund and record the outcome. Failures are retried after 1, 2, 4 ...
+// minutes; after MAX_ATTEMPTS the order is left refund_failed.
+const attemptRefund = async (order) => {
+  try {
+    const refund = await getPaymentProvider().refund({
+      paymentId: order.payment_id,
+      amountCents: order.amount_cents,
+      currency: order.currency,
+      idempotencyKey: `order-${order.id}-refund`
+    });
+    await pool.query(
+      `UPDATE orders SET status = 'refunded', refund_id = $2, refunded_at = NOW(), refund_last_error = NULL
+       WHERE id = $1 AND status = 'refunding'`,
+      [order.id, refund.id]
+    );
+  } catch (err) {
+    console.error(`Refund of order ${order.id} failed:`, err.message);
+    await pool.query(
+      `UPDATE orders SET
+       status = CASE WHEN refund_attempts >= $2 THEN 'refund_failed' ELSE 'refunding' END,
+       refund_next_attempt_at = NOW() + INTERVAL '1 minute' * power(2, refund_attempts - 1),
+       refund_last_error = $3
+       WHERE id = $1 AND status = 'refunding'`,
+      [order.id, MAX_ATTEMPTS, err.message]
+    );
+  }
+};
+
+// Send one batch of due refunds, returning how many were attempted (see workers.js)
+const processRefunds = async () => {
+  const batch = await pool.query(
+    `UPDATE orders SET refund_attempts = refund_attempts + 1, refund_next_attempt_at = NOW() + INTERVAL '5 minutes'
+     WHERE id IN (
+       SELECT id FROM orders
+       WHERE status = 'refunding' AND refund_next_attempt_at <= NOW()
+       ORDER BY refund_next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE]
+  );
+  
+  for (const order of batch.rows) {
+    await attemptRefund(order);
+  }
+  
+  return batch.rows.length;
+};
+
+// Poll for due refunds every REFUND_POLL_MS milliseconds (5 seconds by default),
+// sending batches until none are left. Returns a function that stops the worker.
+const startRefundWorker = () => startWorker(processRefunds, 'Refund', parseInt(process.env.REFUND_POLL_MS) || 5000);
+
+module.exports = { requestRefund, processRefunds, startRefundWorker };
+
+// Command line: node refunds.js [worker | once]
+// worker runs the refunds on its own (with REFUND_WORKER=false on the servers);
+// once sends what is due and exits
+if (require.main === module) {
+  runWorkerCommand('refunds.js', {
+    name: 'Refund',
+    items: 'refunds',
+    start: startRefundWorker,
+    processBatch: processRefunds
+  });
+}
@@ -0,0 +1,373 @@
+// Request schemas for every route, checked by validate() in validation.js
+
+const { MAX_OCCURRENCES } = require('./recurrence');
+const { WEBHOOK_TYPES } = require('./webhooks');
+const { COORGANIZER_PERMISSIONS } = require('./organizers');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toInstant } = require('./timezones');
+
+const id = { type: 'integer', min: 1 };
+const idParams = { id: { ...id, required: true } };
+
+const pagination = (defaultLimit) => ({
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: defaultLimit }
+});
+
+// At least 8 characters with a letter and a digit
+const password = {
+  type: 'string',
+  minLength: 8,
+  maxLength: 72, // bcrypt ignores anything longer
+  pattern: /^(?=.*[A-Za-z])(?=.*\d)/,
+  patternMessage: 'must contain a letter and a digit'
+};
+
+// Helper function to read a time of an event body as an instant. Times without an offset are
+// local to the body's time_zone (on updates without one, the event's own zone is checked when saving).
+const eventInstant = (value, body) => toInstant(value, isValidTimeZone(body.time_zone) ? body.time_zone : DEFAULT_TIME_ZONE);
+
+// Times are ISO 8601; without a UTC offset they are local to time_zone, an IANA name
+// such as Europe/Berlin (UTC for new events, unchanged on updates)
+const eventBody = {
+  title: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string' },
+  date: { type: 'date', required: true },
+  end_date: {
+    type: 'date',
+    check: (value, body) => (eventInstant(value, body) <= eventInstant(body.date, body) ? 'must be after date' : undefined)
+  },
+  time_zone: {
+    type: 'string',
+    maxLength: 64,
+    check: (value) => (isValidTimeZone(value) ? undefined : 'must be an IANA time zone such as Europe/Berlin')
+  },
+  room_id: { ...id, required: true },
+  available_seats: { type: 'integer', required: true, min: 0 }
+};
+
+// New events are published straight away unless created as drafts
+const newEventStatus = { type: 'string', values: ['draft', 'published'], default: 'published' };
+
+// Which occurrences of a recurring series an edit or delete applies to
+const seriesScope = {
+  scope: { type: 'string', values: ['occurrence', 'following', 'series'], default: 'occurrence' }
+};
+
+const tierBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  price_cents: { type: 'integer', min: 0, default: 0 },
+  currency: {
+    type: 'string',
+    pattern: /^[A-Z]{3}$/,
+    patternMessage: 'must be a three-letter currency code such as USD',
+    default: 'USD'
+  },
+  quota: { type: 'integer', required: true, min: 1 },
+  sales_start: { type: 'date' },
+  sales_end: {
+    type: 'date',
+    check: (value, body) => (body.sales_start && new Date(value) <= new Date(body.sales_start) ? 'must be after sales_start' : undefined)
+  }
+};
+const tierParams = { id: { ...id, required: true }, tierId: { ...id, required: true } };
+const organizerParams = { id: { ...id, required: true }, organizerId: { ...id, required: true } };
+const permission = { type: 'string', required: true, values: COORGANIZER_PERMISSIONS };
+const attendeeParams = { id: { ...id, required: true }, attendeeId: { ...id, required: true } };
+
+// A named attendee of a booking; the email is optional
+const attendeeBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', maxLength: 100 }
+};
+
+const webhookBody = {
+  url: { type: 'string', required: true, maxLength: 2000 },
+  description: { type: 'string', maxLength: 200 },
+  event_types: {
+    type: 'array',
+    required: true,
+    items: { type: 'string', values: WEBHOOK_TYPES },
+    check: (value) => (value.length === 0 ? 'must list at least one type' : undefined)
+  },
+  active: { type: 'boolean', default: true }
+};
+
+const roomBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  address: { type: 'string' },
+  capacity: { type: 'integer', required: true, min: 1 },
+  amenities: { type: 'array', items: { type: 'string', maxLength: 100 }, default: () => [] }
+};
+
+module.exports = {
+  register: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'email', required: true, maxLength: 100 },
+      password: { ...password, required: true }
+    }
+  },
+  login: {
+    body: {
+      email: { type: 'string', required: true },
+      password: { type: 'string', required: true }
+    }
+  },
+  refreshToken: {
+    body: {
+      refreshToken: { type: 'string', required: true }
+    }
+  },
+  updateProfile: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'email', required: true, maxLength: 100 },
+      password
+    }
+  },
+  // Upcoming events the user organizes are handed to a co-organizer where possible, or all cancelled
+  deleteAccount: {
+    body: {
+      password: { type: 'string', required: true, maxLength: 72 },
+      events: { type: 'string', values: ['transfer', 'cancel'], default: 'transfer' }
+    }
+  },
+  accountToken: {
+    body: {
+      token: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+  forgotPassword: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+  resetPassword: {
+    body: {
+      token: { type: 'string', required: true, maxLength: 100 },
+      password: { ...password, required: true }
+    }
+  },
+  analytics: {
+    query: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      bucket: { type: 'string', values: ['day', 'week', 'month'], default: 'day' },
+      event_id: id,
+      organizer_id: id,
+      limit: { type: 'integer', min: 1, max: 50, default: 10 }
+    }
+  },
+  updateNotificationPreferences: {
+    body: {
+      bookings: { type: 'boolean', required: true },
+      event_changes: { type: 'boolean', required: true }
+    }
+  },
+  
+  roomById: { params: idParams },
+  createRoom: { body: roomBody },
+  updateRoom: { params: idParams, body: roomBody },
+  
+  listEvents: {
+    query: {
+      q: { type: 'string', maxLength: 200 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      room_id: id,
+      location: { type: 'string', maxLength: 100 },
+      organizer_id: id,
+      status: { type: 'string', values: ['published', 'cancelled', 'archived'] },
+      has_seats: { type: 'boolean', default: false },
+      include_past: { type: 'boolean', default: false },
+      sort: { type: 'string', values: ['date', '-date', 'title', '-title', 'created_at', '-created_at'], default: 'date' },
+      cursor: { type: 'string' },
+      ...pagination(10)
+    }
+  },
+  eventById: { params: idParams },
+  eventAttendees: {
+    params: idParams,
+    query: {
+      format: { type: 'string', values: ['json', 'csv'], default: 'json' }
+    }
+  },
+  importEvents: {
+    query: {
+      dry_run: { type: 'boolean', default: false }
+    }
+  },
+  createEvent: { body: { ...eventBody, status: newEventStatus } },
+  updateEvent: { params: idParams, query: seriesScope, body: eventBody },
+  deleteEvent: { params: idParams, query: seriesScope },
+  updateEventStatus: {
+    params: idParams,
+    body: {
+      status: { type: 'string', required: true, values: ['draft', 'published', 'cancelled', 'archived'] }
+    }
+  },
+  
+  // The first occurrence is at date (and end_date); the series ends at until or after count occurrences.
+  // Occurrences keep the local time of the first in time_zone; exdates are local days.
+  createEventSeries: {
+    body: {
+      ...eventBody,
+      status: newEventStatus,
+      frequency: {
+        type: 'string',
+        required: true,
+        values: ['daily', 'weekly', 'monthly'],
+        check: (value, body) => (!body.until === !body.count ? 'needs either until or count' : undefined)
+      },
+      interval: { type: 'integer', min: 1, max: 365, default: 1 },
+      until: {
+        type: 'date',
+        check: (value, body) => (eventInstant(value, body) < eventInstant(body.date, body) ? 'must not be before date' : undefined)
+      },
+      count: { type: 'integer', min: 1, max: MAX_OCCURRENCES },
+      exdates: { type: 'array', items: { type: 'date' }, default: () => [] }
+    }
+  },
+  eventSeriesById: { params: idParams },
+  
+  createTier: { params: idParams, body: tierBody },
+  updateTier: { params: tierParams, body: tierBody },
+  tierById: { params: tierParams },
+  
+  inviteOrganizer: {
+    params: idParams,
+    body: {
+      email: { type: 'email', required: true, maxLength: 100 },
+      permission
+    }
+  },
+  updateOrganizer: { params: organizerParams, body: { permission } },
+  organizerById: { params: organizerParams },
+  transferEvent: {
+    params: idParams,
+    body: {
+      user_id: { ...id, required: true }
+    }
+  },
+  
+  calendarFeed: {
+    params: {
+      token: { type: 'string', required: true, pattern: /^[a-f0-9]{48}$/ }
+    }
+  },
+  
+  createBooking: {
+    body: {
+      event_id: { ...id, required: true },
+      seats: { type: 'integer', required: true, min: 1 },
+      tier_id: id,
+      join_waitlist: { type: 'boolean', default: false }
+    }
+  },
+  listBookings: { query: pagination(10) },
+  bookingById: { params: idParams },
+  updateBooking: {
+    params: idParams,
+    body: {
+      seats: { type: 'integer', required: true, min: 1 }
+    }
+  },
+  createAttendee: { params: idParams, body: attendeeBody },
+  updateAttendee: { params: attendeeParams, body: attendeeBody },
+  attendeeById: { params: attendeeParams },
+  
+  // Offer a booking to someone by email: all of its seats unless seats says otherwise,
+  // with the named attendees in attendee_ids going along
+  createTransfer: {
+    params: idParams,
+    body: {
+      email: { type: 'email', required: true, maxLength: 100 },
+      seats: { type: 'integer', min: 1 },
+      attendee_ids: {
+        type: 'array',
+        items: id,
+        default: () => [],
+        check: (value, body) => {
+          if (new Set(value).size !== value.length) return 'must not repeat an attendee';
+          if (body.seats && value.length > body.seats) return 'cannot name more attendees than seats';
+          return undefined;
+        }
+      }
+    }
+  },
+  transferById: { params: idParams },
+  
+  listOrders: { query: pagination(10) },
+  orderById: { params: idParams },
+  mockPayment: {
+    params: {
+      paymentId: { type: 'string', required: true, maxLength: 100 },
+      outcome: { type: 'string', required: true, values: ['succeed', 'fail'] }
+    }
+  },
+  
+  checkIn: {
+    params: idParams,
+    body: {
+      code: { type: 'string', required: true, maxLength: 1000 }
+    }
+  },
+  
+  waitlistById: { params: idParams },
+  
+  createWebhook: { body: webhookBody },
+  updateWebhook: { params: idParams, body: webhookBody },
+  webhookById: { params: idParams },
+  listWebhookDeliveries: {
+    params: idParams,
+    query: {
+      status: { type: 'string', values: ['pending', 'delivered', 'failed'] },
+      ...pagination(20)
+    }
+  },
+  webhookDeliveryById: {
+    params: { id: { ...id, required: true }, deliveryId: { ...id, required: true } }
+  },
+  
+  listAuditLog: {
+    query: {
+      entity_type: { type: 'string', values: ['event', 'booking', 'room', 'user', 'organizer'] },
+      entity_id: id,
+      event_id: id,
+      actor_id: id,
+      from: { type: 'date' },
+      to: { type: 'date' },
+      ...pagination(50)
+    }
+  },
+  
+  adminListUsers: {
+    query: {
+      role: { type: 'string', values: ['attendee', 'organizer', 'admin'] },
+      q: { type: 'string', maxLength: 100 },
+      ...pagination(20)
+    }
+  },
+  adminUpdateUser: {
+    params: idParams,
+    body: {
+      role: { type: 'string', required: true, values: ['attendee', 'organizer', 'admin'] }
+    }
+  },
+  adminUserById: { params: idParams },
+  adminListEvents: {
+    query: {
+      organizer_id: id,
+      status: { type: 'string', values: ['draft', 'published', 'cancelled', 'archived'] },
+      deleted: { type: 'boolean' },
+      ...pagination(20)
+    }
+  },
+  adminListBookings: {
+    query: {
+      event_id: id,
+      user_id: id,
+      ...pagination(20)
+    }
+  }
+};
@@ -1,677 +1,4104 @@
 require('dotenv').config();
 const express = require('express');
-const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { getPendingMigrations } = require('./migrate');
+const { createError, asyncHandler, errorHandler } = require('./errors');
+const { validate, validateObject } = require('./validation');
+const schemas = require('./schemas');
+const { buildCalendar } = require('./ics');
+const { parseCsv, toCsv } = require('./csv');
+const { signTicket, verifyTicket, publicKeyPem } = require('./tickets');
+const { expandRecurrence, MAX_OCCURRENCES } = require('./recurrence');
+const { queueNotification, queueEmail, startNotificationWorker } = require('./notifications');
+const { requestRefund, startRefundWorker } = require('./refunds');
+const { rateLimit, countHit, getCount, resetCount } = require('./throttle');
+const { getPaymentProvider, mockPaymentsEnabled } = require('./payments');
+const { getAnalytics } = require('./analytics');
+const { checkWebhookUrl, queueWebhook, deliverNow, startWebhookWorker } = require('./webhooks');
+const { subscribeToEvent } = require('./realtime');
+const { idempotent, deleteExpiredIdempotencyKeys } = require('./idempotency');
+const { permissionsIncluding, coOrganizerCondition } = require('./organizers');
+const { DEFAULT_TIME_ZONE, canonicalTimeZone, toInstant, toWallClock, withLocalTimes } = require('./timezones');
 
 const app = express();
 
+// URL of the React app, which links in emails point to
+const CLIENT_URL = process.env.CLIENT_URL || 'https://event-db-client.onrender.com';
+
+// Behind a reverse proxy (as on Render), TRUST_PROXY=1 takes client IPs from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
-  origin: 'https://event-db-client.onrender.com', // Your React app's URL
+  origin: CLIENT_URL,
   credentials: true
 }));
-app.use(bodyParser.json());
-
-// Database connection
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-  ssl: {
-    rejectUnauthorized: false // Required for Render.com PostgreSQL
+// The raw body is kept for checking payment webhook signatures
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
-});
+}));
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Token lifetimes: short-lived access tokens, long-lived rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
 // Helper function to authenticate token
+// The token's session must still be open and its token version current, so
+// logging out or changing the password invalidates tokens issued before it
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   
   if (!token) return res.sendStatus(401);
   
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
+    
+    try {
+      const session = await pool.query(
+        `SELECT u.token_version, u.email_verified_at, s.revoked_at
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id = $1 AND u.id = $2`,
+        [user.sid, user.id]
+      );
+      
+      if (
+        session.rows.length === 0 ||
+        session.rows[0].revoked_at ||
+        session.rows[0].token_version !== user.ver
+      ) {
+        return res.sendStatus(401);
+      }
+      
+      req.user = { ...user, emailVerified: Boolean(session.rows[0].email_verified_at) };
+      next();
+    } catch (err) {
+      next(err);
+    }
   });
 };
 
-// Routes
+// Helper function to authenticate a token when one is sent, for routes that are public
+// but show more to some users; without one, req.user stays unset
+const optionalAuthentication = (req, res, next) => {
+  if (!req.headers['authorization']) return next();
+  authenticateToken(req, res, next);
+};
 
-// User Registration
-app.post('/api/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    const result = await pool.query(
-      'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email',
-      [name, email, hashedPassword]
-    );
-    
-    res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    if (err.code === '23505') {
-      return res.status(400).json({ error: 'Email already exists' });
-    }
-    res.status(500).json({ error: 'Registration failed' });
+// Helper function to take the access token from an ?access_token= query parameter, for
+// streams opened with EventSource, which cannot send headers (use before authenticateToken)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
   }
-});
+  next();
+};
 
-// User Login
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    const user = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (user.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    
-    const isValidPassword = await bcrypt.compare(password, user.rows[0].password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    
-    const token = jwt.sign(
-      { id: user.rows[0].id, email: user.rows[0].email },
-      JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    
-    res.json({ 
-      token, 
-      user: { 
-        id: user.rows[0].id, 
-        name: user.rows[0].name, 
-        email: user.rows[0].email 
-      } 
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Login failed' });
+// Helper function to allow a route only for the given roles (use after authenticateToken)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
   }
-});
+  next();
+};
 
-// Dashboard Statistics
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
-  try {
-    // Get user's total events created
-    const eventsCount = await pool.query(
-      'SELECT COUNT(*) FROM events WHERE user_id = $1',
-      [req.user.id]
-    );
-    
-    // Get user's total bookings made
-    const bookingsCount = await pool.query(
-      'SELECT COUNT(*) FROM bookings WHERE user_id = $1',
-      [req.user.id]
-    );
-    
-    // Get user's upcoming events (both created and booked)
-    const upcomingEvents = await pool.query(
-      `SELECT e.id, e.title, e.date, e.location, 
-       CASE WHEN e.user_id = $1 THEN 'creator' ELSE 'attendee' END as role
-       FROM events e
-       LEFT JOIN bookings b ON e.id = b.event_id
-       WHERE (e.user_id = $1 OR b.user_id = $1) AND e.date > NOW()
-       ORDER BY e.date ASC
-       LIMIT 5`,
-      [req.user.id]
-    );
-    
-    // Get recent bookings
-    const recentBookings = await pool.query(
-      `SELECT b.id, b.created_at, e.title, e.date, e.location 
-       FROM bookings b
-       JOIN events e ON b.event_id = e.id
-       WHERE b.user_id = $1
-       ORDER BY b.created_at DESC
-       LIMIT 5`,
-      [req.user.id]
-    );
-    
-    // Get rooms/venues statistics (assuming rooms are part of events)
-    const roomsStats = await pool.query(
-      `SELECT location as room_name, 
-       COUNT(*) as total_events,
-       SUM(CASE WHEN date > NOW() THEN 1 ELSE 0 END) as upcoming_events
-       FROM events
-       WHERE user_id = $1
-       GROUP BY location
-       ORDER BY upcoming_events DESC`,
-      [req.user.id]
-    );
-    
-    res.json({
-      stats: {
-        eventsCreated: parseInt(eventsCount.rows[0].count),
-        bookingsMade: parseInt(bookingsCount.rows[0].count),
-      },
-      upcomingEvents: upcomingEvents.rows,
-      recentBookings: recentBookings.rows,
-      roomsStats: roomsStats.rows
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+// Helper function to block unverified accounts from a route when REQUIRE_EMAIL_VERIFICATION=true
+// (use after authenticateToken)
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
   }
-});
+  next();
+};
 
-// Profile Section
-app.get('/api/profile', authenticateToken, async (req, res) => {
-  try {
-    // Get user details
-    const userResult = await pool.query(
-      'SELECT id, name, email, created_at FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    // Get user's created events
-    const eventsResult = await pool.query(
-      'SELECT id, title, date, location FROM events WHERE user_id = $1 ORDER BY date DESC',
-      [req.user.id]
-    );
-    
-    // Get user's bookings with event details
-    const bookingsResult = await pool.query(
-      `SELECT b.id, b.seats, b.created_at as booking_date, 
-       e.id as event_id, e.title, e.date, e.location 
-       FROM bookings b 
-       JOIN events e ON b.event_id = e.id 
-       WHERE b.user_id = $1
-       ORDER BY b.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json({
-      user: userResult.rows[0],
-      events: eventsResult.rows,
-      bookings: bookingsResult.rows
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch profile data' });
+// Request limits, per client IP and per account; each can be changed through
+// RATE_LIMIT_<NAME> (see throttle.js)
+const accountEmailLimit = rateLimit({ name: 'account_email', windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimit = rateLimit({ name: 'register_ip', windowMs: 60 * 60 * 1000, max: 10 });
+const exportLimit = rateLimit({ name: 'account_export', windowMs: 60 * 60 * 1000, max: 5, key: (req) => req.user.id });
+const transferLimit = rateLimit({ name: 'booking_transfers', windowMs: 60 * 60 * 1000, max: 20, key: (req) => req.user.id });
+const loginLimits = [
+  rateLimit({ name: 'login_ip', windowMs: 15 * 60 * 1000, max: 30 }),
+  rateLimit({
+    name: 'login_account',
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    key: (req) => (typeof req.body.email === 'string' ? req.body.email.toLowerCase() : undefined)
+  })
+];
+const bookingIpLimit = rateLimit({ name: 'bookings_ip', windowMs: 60 * 1000, max: 60 });
+const bookingAccountLimit = rateLimit({ name: 'bookings_account', windowMs: 60 * 1000, max: 20, key: (req) => req.user.id });
+
+// Failed logins in a row after which an account is locked
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// Hash that passwords for unknown email addresses are checked against, so that they take
+// as long to refuse as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Helper function to hash refresh tokens and emailed account tokens, which are only stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to issue an access token and a fresh refresh token for a session
+const issueTokens = async (client, user, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  
+  await client.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_DAYS]
+  );
+  
+  const token = jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId, ver: user.token_version },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  
+  return { token, refreshToken };
+};
+
+// Helper function to end every session of a user and reject all their current access tokens
+const revokeAllSessions = async (client, userId) => {
+  await client.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  const result = await client.query(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = $1 RETURNING id, email, role, token_version',
+    [userId]
+  );
+  return result.rows[0];
+};
+
+// Helper function to open a new login session and issue its first tokens
+const startSession = async (client, user) => {
+  const session = await client.query(
+    'INSERT INTO user_sessions (user_id) VALUES ($1) RETURNING id',
+    [user.id]
+  );
+  return issueTokens(client, user, session.rows[0].id);
+};
+
+// Lifetimes of emailed account tokens, and how many of each a user can be sent per hour
+const ACCOUNT_TOKENS = {
+  verify_email: { hours: 24, path: '/verify-email' },
+  reset_password: { hours: 1, path: '/reset-password' },
+  unlock_account: { hours: 24, path: '/unlock-account' }
+};
+const ACCOUNT_TOKENS_PER_HOUR = 3;
+
+// Helper function to email a user a single-use link for verifying their address or
+// resetting their password. Only the token's hash is stored. Past the hourly limit
+// nothing is sent, so the mailbox of whoever owns the address cannot be flooded.
+const sendAccountToken = async (client, user, purpose) => {
+  const recent = await client.query(
+    `SELECT COUNT(*) FROM account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [user.id, purpose]
+  );
+  if (parseInt(recent.rows[0].count) >= ACCOUNT_TOKENS_PER_HOUR) return;
+  
+  const { hours, path } = ACCOUNT_TOKENS[purpose];
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  const stored = await client.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+     RETURNING expires_at`,
+    [user.id, purpose, hashToken(token), user.email, hours]
+  );
+  
+  await queueNotification(client, user.id, purpose, {
+    link: `${CLIENT_URL}${path}?token=${token}`,
+    expires_at: stored.rows[0].expires_at
+  });
+};
+
+// Helper function to use up an emailed account token, returning its user_id and
+// email, or null if it is unknown, expired or already used
+const useAccountToken = async (client, token, purpose) => {
+  const result = await client.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id, email`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+};
+
+// Failed logins are counted per email address in the rate limit store, whether or not the
+// address has an account, so that a lockout looks the same for both. From the
+// LOGIN_LOCKOUT_THRESHOLD-th failure in a row (within a day) the address is locked, for a
+// minute at first and twice as long after each further failure (up to a day), and the
+// account's owner, if there is one, is emailed an unlock link.
+
+// Helper function to get the time an email address is locked until, or null if it is not locked
+const getLoginLock = async (email) => {
+  const lock = await getCount(`login_locked:${email.toLowerCase()}`);
+  return lock ? new Date(lock.resetAt) : null;
+};
+
+// Helper function to count a failed login with an email address and the user it belongs
+// to (if any), returning the time the address is now locked until, or null
+const recordFailedLogin = async (email, user) => {
+  const failures = await countHit(`login_failures:${email.toLowerCase()}`, 24 * 60 * 60 * 1000);
+  if (failures.count < LOGIN_LOCKOUT_THRESHOLD) return null;
+  
+  const minutes = Math.min(2 ** Math.min(failures.count - LOGIN_LOCKOUT_THRESHOLD, 11), 24 * 60);
+  const lock = await countHit(`login_locked:${email.toLowerCase()}`, minutes * 60 * 1000);
+  if (user) {
+    await withTransaction((client) => sendAccountToken(client, user, 'unlock_account'));
   }
-});
+  return new Date(lock.resetAt);
+};
 
-// Update Profile
-app.put('/api/profile', authenticateToken, async (req, res) => {
+// Helper function to forget the failed logins with an email address, unlocking it
+const clearFailedLogins = (email) => Promise.all(
+  ['login_failures', 'login_locked'].map((name) => resetCount(`${name}:${email.toLowerCase()}`))
+);
+
+// Helper function to refuse a login to a locked email address
+const sendAccountLocked = (res, lockedUntil) => {
+  res.set('Retry-After', String(Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1)));
+  return res.status(429).json({
+    error: 'Account temporarily locked after too many failed logins; try again later or use the unlock link we emailed you'
+  });
+};
+
+// Helper function to name the user making the changes of the current transaction in the
+// audit log, which the audit triggers read from the app.actor_id setting
+const setAuditActor = (client, userId) => client.query(
+  "SELECT set_config('app.actor_id', $1, TRUE)",
+  [String(userId)]
+);
+
+// Helper function to run queries on one client inside a single transaction, with
+// its changes recorded in the audit log as made by actorId (or by the system)
+const withTransaction = async (callback, actorId = null) => {
+  const client = await pool.connect();
   try {
-    const { name, email, password } = req.body;
-    let updateQuery = 'UPDATE users SET name = $1, email = $2';
-    let queryParams = [name, email];
-    
-    // If password is provided, hash it and add to update
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      updateQuery += ', password = $3';
-      queryParams.push(hashedPassword);
-    }
-    
-    updateQuery += ' WHERE id = $' + (queryParams.length + 1) + ' RETURNING id, name, email';
-    queryParams.push(req.user.id);
-    
-    const result = await pool.query(updateQuery, queryParams);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    await client.query('BEGIN');
+    if (actorId) {
+      await setAuditActor(client, actorId);
     }
-    
-    res.json(result.rows[0]);
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
   } catch (err) {
-    console.error(err);
-    if (err.code === '23505') {
-      return res.status(400).json({ error: 'Email already exists' });
-    }
-    res.status(500).json({ error: 'Failed to update profile' });
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-});
+};
 
-// Rooms/Venues CRUD Operations
+// Helper function to queue an email about a booking to its holder, quoting the event
+// and the refund of a paid booking, if there was one
+const notifyBooking = async (client, template, booking, refund = null) => {
+  const event = await client.query(
+    `SELECT e.title, e.date, e.time_zone, r.name as location
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.id = $1`,
+    [booking.event_id]
+  );
+  
+  await queueNotification(client, booking.user_id, template, {
+    ...event.rows[0],
+    event_id: booking.event_id,
+    booking_id: booking.id,
+    seats: booking.seats,
+    ticket_code: booking.ticket_code,
+    refund_cents: refund ? refund.amount_cents : null,
+    currency: refund ? refund.currency : null
+  });
+};
 
-// Get All Rooms (distinct locations from events)
-app.get('/api/rooms', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT DISTINCT location as name FROM events WHERE user_id = $1 ORDER BY location',
-      [req.user.id]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch rooms' });
-  }
-});
+// Helper function to queue a webhook about a booking for its event's organizer
+// (ticket codes stay out of it, since they get people in at the door)
+const bookingWebhook = (client, type, booking) => {
+  const { ticket_code, ...data } = booking;
+  return queueWebhook(client, booking.event_id, type, { booking: data });
+};
 
-// Add/Update Room (actually updates events with this location)
-app.post('/api/rooms', authenticateToken, async (req, res) => {
-  try {
-    const { oldName, newName } = req.body;
-    
-    if (!oldName || !newName) {
-      return res.status(400).json({ error: 'Both oldName and newName are required' });
-    }
+// Helper function to move waitlisted users into free seats, oldest entry first.
+// Entries asking for more seats than are left are skipped, not blocking later ones.
+// Events with ticket tiers have no waitlist: their seats go back on sale in the tiers.
+const promoteWaitlist = async (client, eventId) => {
+  const event = await client.query(
+    `SELECT available_seats, EXISTS (SELECT 1 FROM ticket_tiers WHERE event_id = $1) as has_tiers
+     FROM events WHERE id = $1 FOR UPDATE`,
+    [eventId]
+  );
+  if (event.rows[0].has_tiers) return [];
+  let availableSeats = event.rows[0].available_seats;
+  
+  const waitlist = await client.query(
+    'SELECT * FROM waitlist WHERE event_id = $1 ORDER BY id FOR UPDATE',
+    [eventId]
+  );
+  
+  const promoted = [];
+  for (const entry of waitlist.rows) {
+    if (availableSeats <= 0) break;
+    if (entry.seats > availableSeats) continue;
     
-    // Update all events with the old location name to the new name
-    const result = await pool.query(
-      'UPDATE events SET location = $1 WHERE location = $2 AND user_id = $3 RETURNING location',
-      [newName, oldName, req.user.id]
+    // A user who booked in the meantime just loses the stale waitlist entry
+    const booking = await client.query(
+      `INSERT INTO bookings (event_id, user_id, seats) VALUES ($1, $2, $3)
+       ON CONFLICT (event_id, user_id) DO NOTHING
+       RETURNING *`,
+      [eventId, entry.user_id, entry.seats]
     );
+    await client.query('DELETE FROM waitlist WHERE id = $1', [entry.id]);
     
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'No rooms found with that name or not authorized' });
+    if (booking.rows.length > 0) {
+      availableSeats -= entry.seats;
+      promoted.push(booking.rows[0]);
+      await notifyBooking(client, 'waitlist_promoted', booking.rows[0]);
+      await bookingWebhook(client, 'booking.created', booking.rows[0]);
     }
-    
-    res.json({ message: 'Room updated successfully', newName });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to update room' });
   }
-});
-
-// Delete Room (actually deletes all events in this location)
-app.delete('/api/rooms/:name', authenticateToken, async (req, res) => {
-  try {
-    const roomName = req.params.name;
-    
-    // First delete all bookings for events in this location
-    await pool.query(
-      `DELETE FROM bookings 
-       WHERE event_id IN (
-         SELECT id FROM events WHERE location = $1 AND user_id = $2
-       )`,
-      [roomName, req.user.id]
-    );
-    
-    // Then delete the events in this location
-    const result = await pool.query(
-      'DELETE FROM events WHERE location = $1 AND user_id = $2 RETURNING *',
-      [roomName, req.user.id]
+  
+  if (promoted.length > 0) {
+    await client.query(
+      'UPDATE events SET available_seats = $1 WHERE id = $2',
+      [availableSeats, eventId]
     );
-    
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Room not found or not authorized' });
-    }
-    
-    res.json({ message: 'Room and all associated events deleted successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to delete room' });
   }
-});
+  
+  return promoted;
+};
 
-// Events CRUD Operations
+// Helper function to check that an event fits its room: the room must belong
+// to the organizer (or already hold the event, which may have changed hands), hold
+// all of the event's seats and be free for its time slot.
+// Locks the room row so concurrent writes for the same room are serialized.
+const checkRoomAvailability = async (client, { roomId, userId, date, endDate, totalSeats, excludeEventId = null }) => {
+  const room = await client.query(
+    `SELECT * FROM rooms
+     WHERE id = $1 AND deleted_at IS NULL
+     AND (user_id = $2 OR id = (SELECT room_id FROM events WHERE id = $3::int))
+     FOR UPDATE`,
+    [roomId, userId, excludeEventId]
+  );
+  
+  if (room.rows.length === 0) {
+    throw createError(400, 'Room not found or not authorized');
+  }
+  
+  if (totalSeats > room.rows[0].capacity) {
+    throw createError(400, `Seats exceed room capacity of ${room.rows[0].capacity}`);
+  }
+  
+  // Events without an end date occupy only their start time; cancelled and deleted events free theirs
+  const overlapping = await client.query(
+    `SELECT id, title, date, end_date FROM events
+     WHERE room_id = $1 AND id IS DISTINCT FROM $4::int
+     AND deleted_at IS NULL AND status <> 'cancelled'
+     AND (
+       date = $2::timestamptz
+       OR (date < COALESCE($3::timestamptz, $2::timestamptz) AND COALESCE(end_date, date) > $2::timestamptz)
+     )
+     LIMIT 1`,
+    [roomId, date, endDate || null, excludeEventId]
+  );
+  
+  if (overlapping.rows.length > 0) {
+    throw createError(409, `Room is already booked for "${overlapping.rows[0].title}" at that time`);
+  }
+  
+  return room.rows[0];
+};
 
-// Create Event
-app.post('/api/events', authenticateToken, async (req, res) => {
-  try {
-    const { title, description, date, location, available_seats } = req.body;
-    const result = await pool.query(
-      'INSERT INTO events (title, description, date, location, available_seats, user_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [title, description, date, location, available_seats, req.user.id]
-    );
-    res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to create event' });
+// Helper function to find an event the user may manage: their own, one they co-organize
+// with at least the given permission (see organizers.js), or any for admins
+const findManagedEvent = async (eventId, user, permission = 'edit_event') => {
+  const result = await pool.query(
+    `SELECT id, user_id, title, date, status FROM events e
+     WHERE id = $1 AND deleted_at IS NULL
+     AND (user_id = $2 OR $3 OR ${coOrganizerCondition('e.id', '$2', '$4')})`,
+    [eventId, user.id, user.role === 'admin', permissionsIncluding(permission)]
+  );
+  
+  if (result.rows.length === 0) {
+    throw createError(404, 'Event not found or not authorized');
   }
-});
+  
+  return result.rows[0];
+};
 
-// Get All Events (with pagination)
-app.get('/api/events', async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-    
-    const result = await pool.query(
-      'SELECT * FROM events ORDER BY date DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
-    );
-    
-    const countResult = await pool.query('SELECT COUNT(*) FROM events');
-    const total = parseInt(countResult.rows[0].count);
-    
-    res.json({
-      events: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+// Helper function to create an event in one of the organizer's rooms, optionally as an occurrence of a series.
+// Times without a UTC offset are local to the event's time zone.
+const createEvent = async (client, userId, { title, description, date, end_date, time_zone, room_id, available_seats, status = 'published', series_id = null }) => {
+  const timeZone = canonicalTimeZone(time_zone) || DEFAULT_TIME_ZONE;
+  const start = toInstant(date, timeZone);
+  const end = end_date ? toInstant(end_date, timeZone) : null;
+  
+  const room = await checkRoomAvailability(client, {
+    roomId: room_id,
+    userId,
+    date: start,
+    endDate: end,
+    totalSeats: available_seats
+  });
+  
+  const result = await client.query(
+    `INSERT INTO events (title, description, date, end_date, time_zone, room_id, available_seats, user_id, status, series_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+    [title, description, start, end, timeZone, room_id, available_seats, userId, status, series_id]
+  );
+  
+  return withLocalTimes({ ...result.rows[0], location: room.name });
+};
+
+// Helper function to update an event owned by ownerId; the caller must have locked the event row.
+// The event keeps its time zone unless given another. Attendees are emailed when the event
+// moves to another time or room.
+const updateEvent = async (client, eventId, ownerId, { title, description, date, end_date, time_zone, room_id, available_seats }) => {
+  const previous = await client.query(
+    `SELECT e.date, e.time_zone, e.room_id, r.name as location
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.id = $1`,
+    [eventId]
+  );
+  const before = previous.rows[0];
+  
+  const timeZone = canonicalTimeZone(time_zone) || before.time_zone;
+  const start = toInstant(date, timeZone);
+  const end = end_date ? toInstant(end_date, timeZone) : null;
+  
+  // Seats already booked still count against the room's capacity
+  const bookingsCount = await client.query(
+    'SELECT COALESCE(SUM(seats), 0) as total_seats FROM bookings WHERE event_id = $1',
+    [eventId]
+  );
+  
+  const room = await checkRoomAvailability(client, {
+    roomId: room_id,
+    userId: ownerId,
+    date: start,
+    endDate: end,
+    totalSeats: available_seats + parseInt(bookingsCount.rows[0].total_seats),
+    excludeEventId: eventId
+  });
+  
+  const result = await client.query(
+    `UPDATE events SET title = $1, description = $2, date = $3, end_date = $4, time_zone = $5, room_id = $6,
+     available_seats = $7, sequence = sequence + 1, updated_at = NOW()
+     WHERE id = $8 RETURNING *`,
+    [title, description, start, end, timeZone, room_id, available_seats, eventId]
+  );
+  const event = withLocalTimes({ ...result.rows[0], location: room.name });
+  
+  if (event.date.getTime() !== before.date.getTime() || event.room_id !== before.room_id) {
+    const bookings = await client.query('SELECT user_id FROM bookings WHERE event_id = $1', [eventId]);
+    await queueNotification(client, bookings.rows.map((booking) => booking.user_id), 'event_updated', {
+      event_id: event.id,
+      title: event.title,
+      date: event.date,
+      time_zone: event.time_zone,
+      location: room.name,
+      previous_date: before.date,
+      previous_time_zone: before.time_zone,
+      previous_location: before.location
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch events' });
   }
-});
+  
+  await queueWebhook(client, event.id, 'event.updated', { event });
+  
+  return event;
+};
 
-// Get Single Event with Booking Status (for authenticated users)
-app.get('/api/events/:id', authenticateToken, async (req, res) => {
-  try {
-    const eventId = req.params.id;
-    
-    // Get event details
-    const eventResult = await pool.query(
-      `SELECT e.*, u.name as organizer_name 
-       FROM events e
-       JOIN users u ON e.user_id = u.id
-       WHERE e.id = $1`,
-      [eventId]
-    );
-    
-    if (eventResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    
-    // Check if user has already booked this event
-    const bookingResult = await pool.query(
-      'SELECT id, seats FROM bookings WHERE event_id = $1 AND user_id = $2',
-      [eventId, req.user.id]
-    );
-    
-    // Get total bookings for this event
-    const bookingsCount = await pool.query(
-      'SELECT SUM(seats) as total_seats FROM bookings WHERE event_id = $1',
-      [eventId]
-    );
-    
-    const event = eventResult.rows[0];
-    const response = {
-      ...event,
-      hasBooked: bookingResult.rows.length > 0,
-      bookingDetails: bookingResult.rows.length > 0 ? bookingResult.rows[0] : null,
-      bookedSeats: parseInt(bookingsCount.rows[0].total_seats) || 0
-    };
-    
-    res.json(response);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch event' });
+// Helper function to call off everything booked for an event that is cancelled: bookings
+// are refunded and their holders emailed, and the waitlist is cleared. The seats go back
+// to the event and its tiers, ready for the event to be published again.
+const cancelEventBookings = async (client, eventId) => {
+  const bookings = await client.query('DELETE FROM bookings WHERE event_id = $1 RETURNING *', [eventId]);
+  for (const booking of bookings.rows) {
+    const refund = await refundBookingOrder(client, booking);
+    await notifyBooking(client, 'event_cancelled', booking, refund);
+    await bookingWebhook(client, 'booking.cancelled', booking);
   }
-});
+  
+  // Orders still waiting for payment are called off; a payment arriving later is refunded
+  const orders = await client.query(
+    "UPDATE orders SET status = 'cancelled' WHERE event_id = $1 AND status = 'pending' RETURNING *",
+    [eventId]
+  );
+  
+  // With the waitlist gone, releasing the seats promotes nobody
+  await client.query('DELETE FROM waitlist WHERE event_id = $1', [eventId]);
+  for (const held of [...bookings.rows, ...orders.rows]) {
+    await releaseBookingSeats(client, held);
+  }
+};
 
-// Update Event
-app.put('/api/events/:id', authenticateToken, async (req, res) => {
-  try {
-    const { title, description, date, location, available_seats } = req.body;
-    const result = await pool.query(
-      'UPDATE events SET title = $1, description = $2, date = $3, location = $4, available_seats = $5 WHERE id = $6 AND user_id = $7 RETURNING *',
-      [title, description, date, location, available_seats, req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Event not found or not authorized' });
-    }
-    
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to update event' });
+// Helper function to soft delete an event: what was booked is called off as for a
+// cancellation, and the event is hidden until it is restored. An archived event is
+// over, so its bookings stay as the record of who attended.
+const deleteEvent = async (client, eventId) => {
+  const event = await client.query('SELECT status FROM events WHERE id = $1', [eventId]);
+  if (event.rows[0].status !== 'archived') {
+    await cancelEventBookings(client, eventId);
   }
-});
+  
+  const result = await client.query(
+    `UPDATE events SET deleted_at = NOW(),
+     status = CASE WHEN status = 'published' THEN 'cancelled' ELSE status END,
+     sequence = sequence + 1, updated_at = NOW()
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [eventId]
+  );
+  
+  const deleted = withLocalTimes(result.rows[0]);
+  await queueWebhook(client, eventId, 'event.deleted', { event: deleted });
+  return deleted;
+};
 
-// Delete Event
-app.delete('/api/events/:id', authenticateToken, async (req, res) => {
-  try {
-    // First delete all bookings for this event
-    await pool.query('DELETE FROM bookings WHERE event_id = $1', [req.params.id]);
-    
-    // Then delete the event
-    const result = await pool.query(
-      'DELETE FROM events WHERE id = $1 AND user_id = $2 RETURNING *',
-      [req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Event not found or not authorized' });
-    }
-    
-    res.json({ message: 'Event and associated bookings deleted successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to delete event' });
+// Helper function to lock one of the organizer's events for a change (any organizer's,
+// for admins passing a null ownerId, and also ones they co-organize with at least the
+// given permission), or with deleted set one of their deleted events.
+// Events in a series lock the series row first, so changes to single occurrences and
+// to whole series always take their locks in the same order.
+const lockOwnedEvent = async (client, eventId, ownerId, { deleted = false, permission = null } = {}) => {
+  const levels = permission ? permissionsIncluding(permission) : [];
+  const allowed = `($2::int IS NULL OR user_id = $2 OR ${coOrganizerCondition('events.id', '$2', '$3')})`;
+  
+  const event = await client.query(
+    `SELECT series_id FROM events WHERE id = $1 AND ${allowed}`,
+    [eventId, ownerId, levels]
+  );
+  
+  if (event.rows.length > 0 && event.rows[0].series_id) {
+    await client.query('SELECT id FROM event_series WHERE id = $1 FOR UPDATE', [event.rows[0].series_id]);
   }
-});
+  
+  const current = await client.query(
+    `SELECT id, user_id, series_id, date, end_date, time_zone, status FROM events
+     WHERE id = $1 AND ${allowed} AND (deleted_at IS NOT NULL) = $4
+     FOR UPDATE`,
+    [eventId, ownerId, levels, deleted]
+  );
+  
+  if (current.rows.length === 0) {
+    throw createError(404, 'Event not found or not authorized');
+  }
+  
+  return current.rows[0];
+};
 
-// Bookings CRUD Operations
+// Statuses of an event and the statuses each can change to. Drafts are only visible to
+// their organizer, cancelled events stay visible without bookings, and archived events
+// are past events kept read-only.
+const EVENT_STATUS_CHANGES = {
+  draft: ['published', 'cancelled'],
+  published: ['cancelled', 'archived'],
+  cancelled: ['published', 'archived'],
+  archived: []
+};
+const EDITABLE_STATUSES = ['draft', 'published'];
 
-// Create Booking (with check for existing booking)
-app.post('/api/bookings', authenticateToken, async (req, res) => {
-  try {
-    const { event_id, seats } = req.body;
-    
-    // Check if seats is a positive number
-    if (!seats || seats <= 0) {
-      return res.status(400).json({ error: 'Number of seats must be positive' });
-    }
-    
-    // Check if user has already booked this event
-    const existingBooking = await pool.query(
-      'SELECT id FROM bookings WHERE event_id = $1 AND user_id = $2',
-      [event_id, req.user.id]
-    );
-    
-    if (existingBooking.rows.length > 0) {
-      return res.status(400).json({ error: 'You have already booked this event' });
-    }
-    
-    // Check event availability
-    const event = await pool.query('SELECT * FROM events WHERE id = $1', [event_id]);
-    if (event.rows.length === 0) {
-      return res.status(404).json({ error: 'Event not found' });
+// Helper function to check that an event coming back (republished or restored) still
+// fits its room, which may have been given to another event in the meantime
+const recheckEventRoom = async (client, eventId, ownerId) => {
+  const event = await client.query('SELECT * FROM events WHERE id = $1', [eventId]);
+  await checkRoomAvailability(client, {
+    roomId: event.rows[0].room_id,
+    userId: ownerId,
+    date: event.rows[0].date,
+    endDate: event.rows[0].end_date,
+    totalSeats: event.rows[0].available_seats,
+    excludeEventId: eventId
+  });
+};
+
+// Helper function to bring a series' until and count in line with the occurrences it
+// still has (deleted ones do not count), and to drop the series once it has none
+const refreshSeries = async (client, seriesId) => {
+  await client.query(
+    `UPDATE event_series s SET
+     until = CASE WHEN s.until IS NULL THEN NULL ELSE o.last_date END,
+     count = CASE WHEN s.count IS NULL THEN NULL ELSE o.occurrences END
+     FROM (
+       SELECT MAX(date) as last_date, COUNT(*) as occurrences FROM events WHERE series_id = $1 AND deleted_at IS NULL
+     ) o
+     WHERE s.id = $1 AND o.occurrences > 0`,
+    [seriesId]
+  );
+  await client.query(
+    'DELETE FROM event_series WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM events WHERE series_id = $1 AND deleted_at IS NULL)',
+    [seriesId]
+  );
+};
+
+// Helper function to split a locked series before one of its occurrences: that occurrence
+// and the later ones move to a new series with the same rule. Returns the new series id,
+// or the existing one when the occurrence is already the first of its series.
+const splitSeries = async (client, occurrence) => {
+  const earlier = await client.query(
+    'SELECT 1 FROM events WHERE series_id = $1 AND date < $2 AND deleted_at IS NULL LIMIT 1',
+    [occurrence.series_id, occurrence.date]
+  );
+  
+  if (earlier.rows.length === 0) {
+    return occurrence.series_id;
+  }
+  
+  const series = await client.query(
+    `INSERT INTO event_series (frequency, repeat_interval, until, count, exdates, time_zone, user_id)
+     SELECT frequency, repeat_interval, until, count, exdates, time_zone, user_id FROM event_series WHERE id = $1
+     RETURNING id`,
+    [occurrence.series_id]
+  );
+  const seriesId = series.rows[0].id;
+  
+  await client.query(
+    'UPDATE events SET series_id = $1 WHERE series_id = $2 AND date >= $3',
+    [seriesId, occurrence.series_id, occurrence.date]
+  );
+  await refreshSeries(client, occurrence.series_id);
+  await refreshSeries(client, seriesId);
+  
+  return seriesId;
+};
+
+// Helper function to apply an edit of one occurrence to every occurrence of its series
+// that can still be edited (not deleted, cancelled or archived). Occurrences keep their
+// bookings: their local times move by the same offset as the edited occurrence (in the
+// new time zone, if it changes), and each gets the same total capacity, less the seats
+// it has booked.
+const updateSeries = async (client, seriesId, occurrence, ownerId, fields) => {
+  const timeZone = canonicalTimeZone(fields.time_zone) || occurrence.time_zone;
+  const start = toInstant(fields.date, timeZone);
+  const end = fields.end_date ? toInstant(fields.end_date, timeZone) : null;
+  
+  const occurrences = await client.query(
+    `SELECT e.id, e.date as old_date, m.date, m.date + ($3::timestamptz - $2::timestamptz) as end_date,
+     (SELECT COALESCE(SUM(seats), 0) FROM bookings WHERE event_id = e.id) as booked_seats
+     FROM events e
+     JOIN events t ON t.id = $4
+     CROSS JOIN LATERAL (
+       SELECT ((e.date AT TIME ZONE e.time_zone) + (($2::timestamptz AT TIME ZONE $5) - (t.date AT TIME ZONE t.time_zone)))
+       AT TIME ZONE $5 as date
+     ) m
+     WHERE e.series_id = $1
+     AND e.deleted_at IS NULL AND e.status IN ('draft', 'published')
+     ORDER BY e.date
+     FOR UPDATE OF e`,
+    [seriesId, start, end, occurrence.id, timeZone]
+  );
+  
+  const edited = occurrences.rows.find((row) => row.id === occurrence.id);
+  const capacity = fields.available_seats + parseInt(edited.booked_seats);
+  
+  // Moving later occurrences first (or earlier ones, when moving back) keeps the
+  // series from clashing with its own not yet moved occurrences
+  const rows = edited.date > edited.old_date ? [...occurrences.rows].reverse() : occurrences.rows;
+  
+  const events = [];
+  for (const row of rows) {
+    const bookedSeats = parseInt(row.booked_seats);
+    if (bookedSeats > capacity) {
+      throw createError(409, `The occurrence on ${toWallClock(row.old_date, occurrence.time_zone).toISOString().slice(0, 10)} already has ${bookedSeats} seats booked`);
+    }
+    
+    events.push(await updateEvent(client, row.id, ownerId, {
+      ...fields,
+      date: row.date,
+      end_date: row.end_date,
+      time_zone: timeZone,
+      available_seats: capacity - bookedSeats
+    }));
+  }
+  
+  await client.query('UPDATE event_series SET time_zone = $2 WHERE id = $1', [seriesId, timeZone]);
+  
+  return events.sort((a, b) => a.date - b.date);
+};
+
+// Helper function to return the seats of a cancelled booking (or of an order that will not
+// be paid) to its event and ticket tier, and hand them to the waitlist
+const releaseBookingSeats = async (client, booking) => {
+  await client.query(
+    'UPDATE events SET available_seats = available_seats + $1 WHERE id = $2',
+    [booking.seats, booking.event_id]
+  );
+  if (booking.tier_id) {
+    await client.query(
+      'UPDATE ticket_tiers SET sold = sold - $1 WHERE id = $2',
+      [booking.seats, booking.tier_id]
+    );
+  }
+  await promoteWaitlist(client, booking.event_id);
+};
+
+// Minutes a paid order holds its seats while waiting for the payment
+const ORDER_HOLD_MINUTES = parseInt(process.env.ORDER_HOLD_MINUTES) || 15;
+
+// Helper function to take seats from the ticket tier a booking is for. Events without
+// tiers need none; on events with tiers one must be chosen, and be on sale with enough
+// tickets left. Returns the tier, or null for events without tiers.
+const reserveTierSeats = async (client, eventId, tierId, seats) => {
+  if (!tierId) {
+    const tiers = await client.query('SELECT 1 FROM ticket_tiers WHERE event_id = $1 LIMIT 1', [eventId]);
+    if (tiers.rows.length > 0) {
+      throw createError(422, 'Choose a ticket tier for this event');
+    }
+    return null;
+  }
+  
+  const tier = await client.query(
+    `UPDATE ticket_tiers SET sold = sold + $1
+     WHERE id = $2 AND event_id = $3 AND sold + $1 <= quota
+     AND (sales_start IS NULL OR sales_start <= NOW())
+     AND (sales_end IS NULL OR sales_end > NOW())
+     RETURNING *`,
+    [seats, tierId, eventId]
+  );
+  
+  if (tier.rows.length > 0) {
+    return tier.rows[0];
+  }
+  
+  const existing = await client.query(
+    `SELECT (sales_start IS NULL OR sales_start <= NOW()) AND (sales_end IS NULL OR sales_end > NOW()) as on_sale
+     FROM ticket_tiers WHERE id = $1 AND event_id = $2`,
+    [tierId, eventId]
+  );
+  
+  if (existing.rows.length === 0) {
+    throw createError(404, 'Ticket tier not found');
+  }
+  if (!existing.rows[0].on_sale) {
+    throw createError(409, 'Tickets of this tier are not on sale');
+  }
+  throw createError(409, 'Not enough tickets left in this tier');
+};
+
+// Helper function to open an order for paid tickets whose seats have been taken,
+// and start its payment with the provider
+const createOrder = async (client, userId, tier, seats) => {
+  const provider = getPaymentProvider();
+  
+  const order = await client.query(
+    `INSERT INTO orders (user_id, event_id, tier_id, seats, amount_cents, currency, provider, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8))
+     RETURNING *`,
+    [userId, tier.event_id, tier.id, seats, tier.price_cents * seats, tier.currency, provider.name, ORDER_HOLD_MINUTES]
+  );
+  
+  let payment;
+  try {
+    payment = await provider.createPayment({
+      orderId: order.rows[0].id,
+      amountCents: order.rows[0].amount_cents,
+      currency: order.rows[0].currency,
+      description: `${seats} x ${tier.name}`
+    });
+  } catch (err) {
+    throw createError(502, `Payment could not be started: ${err.message}`);
+  }
+  
+  const result = await client.query(
+    'UPDATE orders SET payment_id = $1 WHERE id = $2 RETURNING *',
+    [payment.id, order.rows[0].id]
+  );
+  
+  return { order: result.rows[0], checkoutUrl: payment.checkoutUrl };
+};
+
+// Helper function to refund the order a cancelled booking was paid with, if any, returning
+// the order. The refund is sent by the refund worker once the caller's transaction commits
+// (see refunds.js), so calling off many bookings at once never refunds any of them twice.
+const refundBookingOrder = async (client, booking) => {
+  if (!booking.order_id) return null;
+  
+  const order = await client.query(
+    "SELECT * FROM orders WHERE id = $1 AND status = 'paid' FOR UPDATE",
+    [booking.order_id]
+  );
+  return order.rows.length > 0 ? requestRefund(client, order.rows[0]) : null;
+};
+
+// Helper function to cancel a booking the caller has deleted: its seats go back, a paid
+// booking is refunded and the holder is emailed. Returns the order being refunded, if any.
+const cancelBooking = async (client, booking) => {
+  await releaseBookingSeats(client, booking);
+  const refund = await refundBookingOrder(client, booking);
+  await notifyBooking(client, 'booking_cancelled', booking, refund);
+  await bookingWebhook(client, 'booking.cancelled', booking);
+  return refund;
+};
+
+// Helper function to count what a booking's seats are taken up by: its named attendees,
+// the seats offered in its pending transfers, and the attendees staying (not going along
+// with an offer). A booking always has seats for what is offered and who stays.
+const countSeatsInUse = async (client, bookingId) => {
+  const result = await client.query(
+    `WITH offers AS (
+       SELECT seats, attendee_ids FROM booking_transfers
+       WHERE booking_id = $1 AND status = 'pending' AND expires_at > NOW()
+     )
+     SELECT (SELECT COUNT(*)::int FROM booking_attendees WHERE booking_id = $1) as attendees,
+     (SELECT COALESCE(SUM(seats), 0)::int FROM offers) as offered,
+     (SELECT COUNT(*)::int FROM booking_attendees a
+      WHERE a.booking_id = $1 AND NOT EXISTS (SELECT 1 FROM offers WHERE a.id = ANY(offers.attendee_ids))) as staying`,
+    [bookingId]
+  );
+  return result.rows[0];
+};
+
+// Helper function to expire an event's orders whose payment did not arrive in time,
+// releasing their seats; the caller must have locked the event row
+const expireOrders = async (client, eventId) => {
+  const expired = await client.query(
+    `UPDATE orders SET status = 'expired'
+     WHERE event_id = $1 AND status = 'pending' AND expires_at <= NOW()
+     RETURNING *`,
+    [eventId]
+  );
+  
+  for (const order of expired.rows) {
+    await releaseBookingSeats(client, order);
+  }
+};
+
+// Helper function to expire the overdue orders of every event, one event per transaction,
+// so seats held for abandoned checkouts come back even if nobody books the event
+const expireAllOrders = async () => {
+  const events = await pool.query(
+    "SELECT DISTINCT event_id FROM orders WHERE status = 'pending' AND expires_at <= NOW() AND event_id IS NOT NULL"
+  );
+  
+  for (const { event_id } of events.rows) {
+    await withTransaction(async (client) => {
+      await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [event_id]);
+      await expireOrders(client, event_id);
+    });
+  }
+};
+
+// Helper function to apply a payment provider's notification to its order. Repeats are
+// harmless: only a pending order is confirmed or failed. A payment that arrives after its
+// order was called off has lost its seats, so it is refunded.
+const settlePayment = (type, paymentId) => withTransaction(async (client) => {
+  const found = await client.query('SELECT event_id FROM orders WHERE payment_id = $1', [paymentId]);
+  if (found.rows.length === 0) return null;
+  
+  // Lock the event before the order, in the same order bookings take their locks
+  if (found.rows[0].event_id) {
+    await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [found.rows[0].event_id]);
+  }
+  const result = await client.query('SELECT * FROM orders WHERE payment_id = $1 FOR UPDATE', [paymentId]);
+  const order = result.rows[0];
+  
+  if (type === 'payment.failed') {
+    if (order.status !== 'pending') return order;
+    
+    await releaseBookingSeats(client, order);
+    const failed = await client.query("UPDATE orders SET status = 'failed' WHERE id = $1 RETURNING *", [order.id]);
+    return failed.rows[0];
+  }
+  
+  if (['paid', 'refunding', 'refunded', 'refund_failed'].includes(order.status)) return order;
+  if (order.status !== 'pending') {
+    return requestRefund(client, order);
+  }
+  
+  const paid = await client.query(
+    "UPDATE orders SET status = 'paid', paid_at = NOW() WHERE id = $1 RETURNING *",
+    [order.id]
+  );
+  
+  // Someone who booked the event another way in the meantime gets their money back
+  const booking = await client.query(
+    `INSERT INTO bookings (event_id, user_id, seats, tier_id, order_id) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (event_id, user_id) DO NOTHING
+     RETURNING *`,
+    [order.event_id, order.user_id, order.seats, order.tier_id, order.id]
+  );
+  
+  if (booking.rows.length === 0) {
+    await releaseBookingSeats(client, order);
+    return requestRefund(client, paid.rows[0]);
+  }
+  
+  await client.query(
+    'DELETE FROM waitlist WHERE event_id = $1 AND user_id = $2',
+    [order.event_id, order.user_id]
+  );
+  await notifyBooking(client, 'booking_confirmed', booking.rows[0]);
+  await bookingWebhook(client, 'booking.created', booking.rows[0]);
+  
+  return paid.rows[0];
+});
+
+// Routes
+
+// User Registration. New accounts are always attendees; an admin makes them organizers
+// (or admins) through Change User Role.
+app.post('/api/register', registerLimit, validate(schemas.register), asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  const hashedPassword = await bcrypt.hash(password, 10);
+  
+  const user = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO users (name, email, password, role) VALUES ($1, $2, $3, 'attendee')
+       RETURNING id, name, email, role, FALSE as email_verified`,
+      [name, email, hashedPassword]
+    );
+    await sendAccountToken(client, result.rows[0], 'verify_email');
+    return result.rows[0];
+  });
+  
+  res.status(201).json(user);
+}));
+
+// User Login. Locked email addresses are refused until the lock ends, even with the right
+// password, and addresses without an account are answered just like wrong passwords.
+app.post('/api/login', loginLimits, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  
+  const lockedUntil = await getLoginLock(email);
+  if (lockedUntil) {
+    return sendAccountLocked(res, lockedUntil);
+  }
+  
+  const user = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+  
+  const isValidPassword = await bcrypt.compare(password, user.rows.length > 0 ? user.rows[0].password : DUMMY_PASSWORD_HASH);
+  if (user.rows.length === 0 || !isValidPassword) {
+    const lockedUntil = await recordFailedLogin(email, user.rows[0]);
+    if (lockedUntil) {
+      return sendAccountLocked(res, lockedUntil);
+    }
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  
+  await clearFailedLogins(email);
+  const { token, refreshToken } = await withTransaction((client) => startSession(client, user.rows[0]));
+  
+  res.json({ 
+    token, 
+    refreshToken,
+    user: { 
+      id: user.rows[0].id, 
+      name: user.rows[0].name, 
+      email: user.rows[0].email,
+      role: user.rows[0].role,
+      email_verified: Boolean(user.rows[0].email_verified_at)
+    } 
+  });
+}));
+
+// Refresh Tokens (each refresh token works once and is replaced by a new one)
+app.post('/api/token/refresh', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  const outcome = await withTransaction(async (client) => {
+    const stored = await client.query(
+      `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.revoked_at,
+       u.id as user_id, u.email, u.role, u.token_version
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON rt.session_id = s.id
+       JOIN users u ON s.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+    
+    if (stored.rows.length === 0) {
+      return { error: 'Invalid refresh token' };
+    }
+    
+    const row = stored.rows[0];
+    if (row.revoked_at) {
+      return { error: 'Session has been revoked' };
+    }
+    
+    // A used token coming back means it was stolen: end the whole session
+    if (row.used_at) {
+      await client.query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1',
+        [row.session_id]
+      );
+      return { error: 'Refresh token reuse detected, session revoked' };
+    }
+    
+    if (row.expires_at < new Date()) {
+      return { error: 'Refresh token expired' };
+    }
+    
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+    await client.query('UPDATE user_sessions SET last_used_at = NOW() WHERE id = $1', [row.session_id]);
+    
+    const user = { id: row.user_id, email: row.email, role: row.role, token_version: row.token_version };
+    return { tokens: await issueTokens(client, user, row.session_id) };
+  });
+  
+  if (outcome.error) {
+    return res.status(401).json({ error: outcome.error });
+  }
+  
+  res.json(outcome.tokens);
+}));
+
+// Logout (ends the current session)
+app.post('/api/logout', authenticateToken, asyncHandler(async (req, res) => {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2',
+    [req.user.sid, req.user.id]
+  );
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// Logout All Sessions
+app.post('/api/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  await withTransaction((client) => revokeAllSessions(client, req.user.id));
+  res.json({ message: 'All sessions logged out successfully' });
+}));
+
+// Dashboard Statistics
+app.get('/api/dashboard', authenticateToken, asyncHandler(async (req, res) => {
+  // Get user's total events created
+  const eventsCount = await pool.query(
+    'SELECT COUNT(*) FROM events WHERE user_id = $1 AND deleted_at IS NULL',
+    [req.user.id]
+  );
+  
+  // Get user's total bookings made
+  const bookingsCount = await pool.query(
+    'SELECT COUNT(*) FROM bookings WHERE user_id = $1',
+    [req.user.id]
+  );
+  
+  // Get user's upcoming events (both created and booked)
+  const upcomingEvents = await pool.query(
+    `SELECT e.id, e.title, e.date, e.end_date, e.time_zone, e.status, r.name as location, 
+     CASE WHEN e.user_id = $1 THEN 'creator' ELSE 'attendee' END as role
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     LEFT JOIN bookings b ON e.id = b.event_id
+     WHERE (e.user_id = $1 OR b.user_id = $1) AND e.date > NOW() AND e.deleted_at IS NULL
+     ORDER BY e.date ASC
+     LIMIT 5`,
+    [req.user.id]
+  );
+  
+  // Get recent bookings
+  const recentBookings = await pool.query(
+    `SELECT b.id, b.created_at, e.title, e.date, r.name as location 
+     FROM bookings b
+     JOIN events e ON b.event_id = e.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE b.user_id = $1
+     ORDER BY b.created_at DESC
+     LIMIT 5`,
+    [req.user.id]
+  );
+  
+  // Get rooms/venues statistics
+  const roomsStats = await pool.query(
+    `SELECT r.id as room_id, r.name as room_name, r.capacity,
+     COUNT(e.id) as total_events,
+     SUM(CASE WHEN e.date > NOW() THEN 1 ELSE 0 END) as upcoming_events
+     FROM rooms r
+     LEFT JOIN events e ON e.room_id = r.id AND e.deleted_at IS NULL
+     WHERE r.user_id = $1 AND r.deleted_at IS NULL
+     GROUP BY r.id
+     ORDER BY upcoming_events DESC`,
+    [req.user.id]
+  );
+  
+  res.json({
+    stats: {
+      eventsCreated: parseInt(eventsCount.rows[0].count),
+      bookingsMade: parseInt(bookingsCount.rows[0].count),
+    },
+    upcomingEvents: upcomingEvents.rows.map(withLocalTimes),
+    recentBookings: recentBookings.rows,
+    roomsStats: roomsStats.rows
+  });
+}));
+
+// Organizer Analytics for events and bookings in a date range, by default the last 30 days.
+// Organizers see their own events; admins see everyone's, or one organizer's with organizer_id.
+app.get('/api/analytics', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.analytics), asyncHandler(async (req, res) => {
+  const { bucket, event_id, organizer_id, limit } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  
+  if (from >= to) {
+    return res.status(422).json({ error: 'from must be before to' });
+  }
+  
+  const analytics = await getAnalytics({
+    organizerId: req.user.role === 'admin' ? organizer_id || null : req.user.id,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    bucket,
+    eventId: event_id || null,
+    limit
+  });
+  
+  res.json(analytics);
+}));
+
+// Profile Section
+app.get('/api/profile', authenticateToken, asyncHandler(async (req, res) => {
+  // Get user details
+  const userResult = await pool.query(
+    'SELECT id, name, email, role, email_verified_at IS NOT NULL as email_verified, created_at FROM users WHERE id = $1',
+    [req.user.id]
+  );
+  
+  if (userResult.rows.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  // Get user's created events
+  const eventsResult = await pool.query(
+    `SELECT e.id, e.title, e.date, e.end_date, e.time_zone, e.status, r.name as location
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.user_id = $1 AND e.deleted_at IS NULL
+     ORDER BY e.date DESC`,
+    [req.user.id]
+  );
+  
+  // Get user's bookings with event details
+  const bookingsResult = await pool.query(
+    `SELECT b.id, b.seats, b.created_at as booking_date, 
+     e.id as event_id, e.title, e.date, r.name as location 
+     FROM bookings b 
+     JOIN events e ON b.event_id = e.id 
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE b.user_id = $1
+     ORDER BY b.created_at DESC`,
+    [req.user.id]
+  );
+  
+  res.json({
+    user: userResult.rows[0],
+    events: eventsResult.rows.map(withLocalTimes),
+    bookings: bookingsResult.rows
+  });
+}));
+
+// Update Profile
+app.put('/api/profile', authenticateToken, validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  // A new email address has to be verified again
+  let updateQuery = 'UPDATE users SET name = $1, email = $2, email_verified_at = CASE WHEN email = $2::varchar THEN email_verified_at END';
+  let queryParams = [name, email];
+  
+  // If password is provided, hash it and add to update
+  if (password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    updateQuery += ', password = $3';
+    queryParams.push(hashedPassword);
+  }
+  
+  updateQuery += ' WHERE id = $' + (queryParams.length + 1) + ' RETURNING id, name, email, email_verified_at IS NOT NULL as email_verified';
+  queryParams.push(req.user.id);
+  
+  const profile = await withTransaction(async (client) => {
+    const previous = await client.query('SELECT email FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+    const result = await client.query(updateQuery, queryParams);
+    
+    if (result.rows.length === 0) {
+      throw createError(404, 'User not found');
+    }
+    
+    if (result.rows[0].email !== previous.rows[0].email) {
+      await sendAccountToken(client, result.rows[0], 'verify_email');
+    }
+    
+    // A new password logs out every session; the caller gets a fresh one
+    if (password) {
+      const user = await revokeAllSessions(client, req.user.id);
+      return { ...result.rows[0], ...(await startSession(client, user)) };
+    }
+    
+    return result.rows[0];
+  }, req.user.id);
+  
+  res.json(profile);
+}));
+
+// Account Data Export and Deletion
+
+// Helper function to gather everything stored about a user, for their data export
+const exportAccountData = async (userId) => {
+  const queries = {
+    user: `SELECT id, name, email, role, email_verified_at, calendar_token IS NOT NULL as calendar_feed_enabled, created_at
+      FROM users WHERE id = $1`,
+    notification_preferences: 'SELECT bookings, event_changes, updated_at FROM notification_preferences WHERE user_id = $1',
+    sessions: 'SELECT id, created_at, last_used_at, revoked_at FROM user_sessions WHERE user_id = $1 ORDER BY id',
+    bookings: `SELECT b.id, b.event_id, e.title as event_title, e.date as event_date, e.time_zone as event_time_zone,
+      b.seats, b.tier_id, t.name as tier_name, b.order_id, b.ticket_code, b.checked_in_at, b.created_at
+      FROM bookings b
+      JOIN events e ON b.event_id = e.id
+      LEFT JOIN ticket_tiers t ON b.tier_id = t.id
+      WHERE b.user_id = $1 ORDER BY b.id`,
+    booking_attendees: `SELECT a.* FROM booking_attendees a JOIN bookings b ON a.booking_id = b.id
+      WHERE b.user_id = $1 ORDER BY a.booking_id, a.id`,
+    booking_transfers: `SELECT * FROM booking_transfers
+      WHERE from_user_id = $1 OR to_user_id = $1 ORDER BY id`,
+    waitlist: `SELECT w.id, w.event_id, e.title as event_title, w.created_at
+      FROM waitlist w JOIN events e ON w.event_id = e.id
+      WHERE w.user_id = $1 ORDER BY w.id`,
+    orders: 'SELECT * FROM orders WHERE user_id = $1 ORDER BY id',
+    events: 'SELECT * FROM events WHERE user_id = $1 ORDER BY date, id',
+    event_series: 'SELECT * FROM event_series WHERE user_id = $1 ORDER BY id',
+    ticket_tiers: `SELECT t.* FROM ticket_tiers t JOIN events e ON t.event_id = e.id
+      WHERE e.user_id = $1 ORDER BY t.event_id, t.id`,
+    rooms: 'SELECT * FROM rooms WHERE user_id = $1 ORDER BY id',
+    co_organizing: `SELECT o.id, o.event_id, e.title as event_title, o.permission, o.invited_by, o.accepted_at, o.created_at
+      FROM event_organizers o JOIN events e ON o.event_id = e.id
+      WHERE o.user_id = $1 ORDER BY o.id`,
+    webhook_endpoints: 'SELECT id, url, description, event_types, active, created_at FROM webhook_endpoints WHERE user_id = $1 ORDER BY id',
+    // Entries about the user's own account and entities in full; for changes they made to
+    // other people's, only what was changed and when
+    audit_log: `SELECT id, actor_id, action, entity_type, entity_id, owner_id, event_id,
+      CASE WHEN own THEN before END as before, CASE WHEN own THEN after END as after, created_at
+      FROM (
+        SELECT *, COALESCE(owner_id = $1 OR (entity_type = 'user' AND entity_id = $1), FALSE) as own
+        FROM audit_log
+        WHERE actor_id = $1 OR owner_id = $1 OR (entity_type = 'user' AND entity_id = $1)
+      ) entries
+      ORDER BY id`
+  };
+  
+  const sections = await Promise.all(Object.entries(queries).map(async ([name, query]) => {
+    const result = await pool.query(query, [userId]);
+    return [name, result.rows];
+  }));
+  const data = Object.fromEntries(sections);
+  
+  return {
+    exported_at: new Date(),
+    ...data,
+    user: data.user[0],
+    notification_preferences: data.notification_preferences[0] || { bookings: true, event_changes: true },
+    events: data.events.map(withLocalTimes)
+  };
+};
+
+// Helper function to delete a user's account. What has already happened stays as history
+// under the anonymized account: events that are over, bookings for them and paid orders.
+// Everything still to come is called off:
+// - upcoming events the user organizes go, with transfer, to a co-organizer editing the
+//   event (the longest-standing one) where there is one, and are otherwise cancelled
+//   and deleted, as are occurrences of series, which cannot be transferred one by one
+// - their bookings for upcoming events are cancelled, giving the seats back and
+//   refunding paid tickets; unpaid orders are cancelled, and waitlist places dropped
+// - rooms no upcoming event still uses are deleted
+// - pending transfers of bookings to or from them are withdrawn, and the attendees they
+//   named on the bookings that are kept are removed
+// Sessions, tokens, preferences, webhooks and pending emails are removed, and the
+// name and email are anonymized, in the audit log too. Returns what was done.
+const deleteAccount = async (client, userId, { events: eventPolicy }) => {
+  const user = await client.query('SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [userId]);
+  if (user.rows.length === 0) {
+    throw createError(404, 'User not found');
+  }
+  
+  const summary = { events_transferred: [], events_cancelled: [], bookings_cancelled: 0 };
+  
+  const upcoming = await client.query(
+    `SELECT id FROM events
+     WHERE user_id = $1 AND deleted_at IS NULL AND status <> 'archived' AND COALESCE(end_date, date) > NOW()
+     ORDER BY date, id`,
+    [userId]
+  );
+  for (const { id } of upcoming.rows) {
+    const current = await lockOwnedEvent(client, id, userId);
+    
+    const successor = eventPolicy === 'transfer' && !current.series_id ? await client.query(
+      `DELETE FROM event_organizers WHERE id = (
+         SELECT o.id FROM event_organizers o
+         JOIN users u ON o.user_id = u.id
+         WHERE o.event_id = $1 AND o.accepted_at IS NOT NULL AND o.permission = 'edit_event'
+         AND u.role IN ('organizer', 'admin') AND u.deleted_at IS NULL
+         ORDER BY o.accepted_at, o.id
+         LIMIT 1
+       )
+       RETURNING user_id`,
+      [id]
+    ) : { rows: [] };
+    
+    if (successor.rows.length > 0) {
+      const result = await client.query(
+        `UPDATE events SET user_id = $1, sequence = sequence + 1, updated_at = NOW()
+         WHERE id = $2 RETURNING *`,
+        [successor.rows[0].user_id, id]
+      );
+      await queueWebhook(client, id, 'event.updated', { event: withLocalTimes(result.rows[0]) });
+      summary.events_transferred.push({ event_id: id, user_id: successor.rows[0].user_id });
+    } else {
+      await deleteEvent(client, id);
+      if (current.series_id) {
+        await refreshSeries(client, current.series_id);
+      }
+      summary.events_cancelled.push(id);
+    }
+  }
+  
+  const bookings = await client.query(
+    `DELETE FROM bookings b USING events e
+     WHERE b.event_id = e.id AND b.user_id = $1
+     AND e.status <> 'archived' AND COALESCE(e.end_date, e.date) > NOW()
+     RETURNING b.*`,
+    [userId]
+  );
+  for (const booking of bookings.rows) {
+    await cancelBooking(client, booking);
+  }
+  summary.bookings_cancelled = bookings.rows.length;
+  
+  const orders = await client.query(
+    "UPDATE orders SET status = 'cancelled' WHERE user_id = $1 AND status = 'pending' RETURNING *",
+    [userId]
+  );
+  for (const order of orders.rows) {
+    await releaseBookingSeats(client, order);
+  }
+  
+  await client.query(
+    `UPDATE rooms SET deleted_at = NOW()
+     WHERE user_id = $1 AND deleted_at IS NULL AND NOT EXISTS (
+       SELECT 1 FROM events e
+       WHERE e.room_id = rooms.id AND e.deleted_at IS NULL AND COALESCE(e.end_date, e.date) > NOW()
+     )`,
+    [userId]
+  );
+  
+  await client.query(
+    `UPDATE booking_transfers SET status = 'cancelled', responded_at = NOW()
+     WHERE status = 'pending' AND (from_user_id = $1 OR to_user_id = $1 OR (to_user_id IS NULL AND to_email = $2))`,
+    [userId, user.rows[0].email]
+  );
+  await client.query(
+    'UPDATE booking_transfers SET to_email = $3 WHERE to_user_id = $1 OR (to_user_id IS NULL AND to_email = $2)',
+    [userId, user.rows[0].email, `deleted-user-${userId}@deleted.invalid`]
+  );
+  await client.query(
+    'DELETE FROM booking_attendees a USING bookings b WHERE a.booking_id = b.id AND b.user_id = $1',
+    [userId]
+  );
+  
+  for (const table of ['waitlist', 'event_organizers', 'notification_preferences', 'notification_outbox', 'account_tokens', 'idempotency_keys', 'webhook_endpoints']) {
+    await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+  }
+  await resetCount(`login_account:${user.rows[0].email.toLowerCase()}`);
+  await clearFailedLogins(user.rows[0].email);
+  
+  await revokeAllSessions(client, userId);
+  await client.query(
+    `UPDATE users SET name = 'Deleted user', email = $2, password = $3, role = 'attendee',
+     calendar_token = NULL, email_verified_at = NULL, deleted_at = NOW()
+     WHERE id = $1`,
+    [userId, `deleted-user-${userId}@deleted.invalid`, await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10)]
+  );
+  await client.query("SELECT anonymize_audit_log($1, ARRAY['name', 'email'])", [userId]);
+  
+  return summary;
+};
+
+// Download all of the user's data as a JSON file
+app.get('/api/profile/export', authenticateToken, exportLimit, asyncHandler(async (req, res) => {
+  const data = await exportAccountData(req.user.id);
+  
+  if (!data.user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  res.set('Content-Disposition', `attachment; filename="account-${req.user.id}-export.json"`);
+  res.json(data);
+}));
+
+// Delete Account, confirmed with the password (see deleteAccount for what happens to the
+// user's events, bookings and data). The last admin cannot delete their account.
+app.delete('/api/profile', authenticateToken, validate(schemas.deleteAccount), asyncHandler(async (req, res) => {
+  const user = await pool.query('SELECT id, email, password, role FROM users WHERE id = $1', [req.user.id]);
+  
+  const lockedUntil = await getLoginLock(user.rows[0].email);
+  if (lockedUntil) {
+    return sendAccountLocked(res, lockedUntil);
+  }
+  
+  // Wrong passwords count towards the login lockout, so this cannot be used to guess one
+  if (!(await bcrypt.compare(req.body.password, user.rows[0].password))) {
+    const lockedUntil = await recordFailedLogin(user.rows[0].email, user.rows[0]);
+    if (lockedUntil) {
+      return sendAccountLocked(res, lockedUntil);
+    }
+    return res.status(401).json({ error: 'Password is incorrect' });
+  }
+  
+  if (user.rows[0].role === 'admin') {
+    const admins = await pool.query(
+      "SELECT COUNT(*) FROM users WHERE role = 'admin' AND deleted_at IS NULL AND id <> $1",
+      [req.user.id]
+    );
+    if (parseInt(admins.rows[0].count) === 0) {
+      return res.status(409).json({ error: 'The last admin cannot delete their account' });
+    }
+  }
+  
+  const summary = await withTransaction((client) => deleteAccount(client, req.user.id, req.body), req.user.id);
+  
+  res.json({ message: 'Account deleted successfully', ...summary });
+}));
+
+// Email Verification and Password Reset
+
+// Confirm an Email Address with the token from the verification email
+app.post('/api/verify-email', validate(schemas.accountToken), asyncHandler(async (req, res) => {
+  const verified = await withTransaction(async (client) => {
+    const token = await useAccountToken(client, req.body.token, 'verify_email');
+    if (!token) return false;
+    await setAuditActor(client, token.user_id);
+    
+    // A link sent to an address the user has since changed verifies nothing
+    await client.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1 AND email = $2',
+      [token.user_id, token.email]
+    );
+    return true;
+  });
+  
+  if (!verified) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+  
+  res.json({ message: 'Email address verified' });
+}));
+
+// Resend the Verification Email
+app.post('/api/verify-email/resend', accountEmailLimit, authenticateToken, asyncHandler(async (req, res) => {
+  await withTransaction(async (client) => {
+    const user = await client.query(
+      'SELECT id, email, email_verified_at FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    );
+    
+    if (user.rows[0].email_verified_at) {
+      throw createError(400, 'Email address is already verified');
+    }
+    
+    await sendAccountToken(client, user.rows[0], 'verify_email');
+  });
+  
+  res.status(202).json({ message: 'Verification email sent' });
+}));
+
+// Forgot Password: emails a reset link. The answer is the same whether or not
+// the email belongs to an account, so it cannot be used to find out who has one.
+app.post('/api/forgot-password', accountEmailLimit, validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  await withTransaction(async (client) => {
+    const user = await client.query(
+      'SELECT id, email FROM users WHERE email = $1 FOR UPDATE',
+      [req.body.email]
+    );
+    
+    if (user.rows.length > 0) {
+      await sendAccountToken(client, user.rows[0], 'reset_password');
+    }
+  });
+  
+  res.status(202).json({ message: 'If an account exists for that email, a password reset link has been sent' });
+}));
+
+// Reset Password with the token from the reset email; every session is logged out
+app.post('/api/reset-password', accountEmailLimit, validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const hashedPassword = await bcrypt.hash(req.body.password, 10);
+  
+  const reset = await withTransaction(async (client) => {
+    const token = await useAccountToken(client, req.body.token, 'reset_password');
+    if (!token) return null;
+    await setAuditActor(client, token.user_id);
+    
+    // The link was emailed, so following it also proves the address
+    const user = await client.query(
+      `UPDATE users SET password = $1, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $2 AND email = $3`,
+      [hashedPassword, token.user_id, token.email]
+    );
+    if (user.rowCount === 0) return null;
+    
+    // Any other reset links still in inboxes stop working too
+    await client.query(
+      `UPDATE account_tokens SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = 'reset_password' AND used_at IS NULL`,
+      [token.user_id]
+    );
+    await revokeAllSessions(client, token.user_id);
+    return token;
+  });
+  
+  if (!reset) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+  
+  // It unlocks the account too
+  await clearFailedLogins(reset.email);
+  
+  res.json({ message: 'Password has been reset, please log in' });
+}));
+
+// Unlock an Account with the token from the lockout email
+app.post('/api/unlock-account', accountEmailLimit, validate(schemas.accountToken), asyncHandler(async (req, res) => {
+  const unlocked = await withTransaction(async (client) => {
+    const token = await useAccountToken(client, req.body.token, 'unlock_account');
+    if (!token) return null;
+    
+    // A link sent to an address the user has since changed unlocks nothing
+    const user = await client.query('SELECT id FROM users WHERE id = $1 AND email = $2', [token.user_id, token.email]);
+    return user.rows.length > 0 ? token : null;
+  });
+  
+  if (!unlocked) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+  
+  await clearFailedLogins(unlocked.email);
+  
+  res.json({ message: 'Account unlocked, please log in' });
+}));
+
+// Get Notification Preferences (everything is on until the user opts out)
+app.get('/api/profile/notifications', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'SELECT bookings, event_changes FROM notification_preferences WHERE user_id = $1',
+    [req.user.id]
+  );
+  
+  res.json(result.rows[0] || { bookings: true, event_changes: true });
+}));
+
+// Update Notification Preferences
+app.put('/api/profile/notifications', authenticateToken, validate(schemas.updateNotificationPreferences), asyncHandler(async (req, res) => {
+  const { bookings, event_changes } = req.body;
+  
+  const result = await pool.query(
+    `INSERT INTO notification_preferences (user_id, bookings, event_changes) VALUES ($1, $2, $3)
+     ON CONFLICT (user_id) DO UPDATE SET bookings = $2, event_changes = $3, updated_at = NOW()
+     RETURNING bookings, event_changes`,
+    [req.user.id, bookings, event_changes]
+  );
+  
+  res.json(result.rows[0]);
+}));
+
+// Rooms/Venues CRUD Operations
+
+// Helper function for the SQL condition on rooms r that the user in userParam may see and
+// update: their own, and the rooms of events they co-organize with one of the permission
+// levels in levelsParam (those including edit_event). Deleting and restoring stay with the owner.
+const sharedRoomCondition = (userParam, levelsParam) => `(r.user_id = ${userParam} OR EXISTS (
+  SELECT 1 FROM events e
+  WHERE e.room_id = r.id AND e.deleted_at IS NULL AND ${coOrganizerCondition('e.id', userParam, levelsParam)}
+))`;
+
+// Get All Rooms with event counts, shared ones included
+app.get('/api/rooms', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT r.*, r.user_id <> $1 as shared,
+     COUNT(e.id)::int as total_events,
+     COUNT(e.id) FILTER (WHERE e.date > NOW())::int as upcoming_events
+     FROM rooms r
+     LEFT JOIN events e ON e.room_id = r.id AND e.deleted_at IS NULL
+     WHERE ${sharedRoomCondition('$1', '$2')} AND r.deleted_at IS NULL
+     GROUP BY r.id
+     ORDER BY r.name`,
+    [req.user.id, permissionsIncluding('edit_event')]
+  );
+  res.json(result.rows);
+}));
+
+// Get Single Room with its upcoming events
+app.get('/api/rooms/:id', authenticateToken, validate(schemas.roomById), asyncHandler(async (req, res) => {
+  const roomResult = await pool.query(
+    `SELECT r.* FROM rooms r WHERE r.id = $1 AND ${sharedRoomCondition('$2', '$3')} AND r.deleted_at IS NULL`,
+    [req.params.id, req.user.id, permissionsIncluding('edit_event')]
+  );
+  
+  if (roomResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Room not found or not authorized' });
+  }
+  
+  const eventsResult = await pool.query(
+    `SELECT id, title, date, end_date, available_seats, status FROM events
+     WHERE room_id = $1 AND date > NOW() AND deleted_at IS NULL
+     ORDER BY date ASC`,
+    [req.params.id]
+  );
+  
+  res.json({ ...roomResult.rows[0], upcomingEvents: eventsResult.rows });
+}));
+
+// Create Room
+app.post('/api/rooms', authenticateToken, requireRole('organizer', 'admin'), idempotent, validate(schemas.createRoom), asyncHandler(async (req, res) => {
+  const { name, address, capacity, amenities } = req.body;
+  
+  const room = await withTransaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO rooms (name, address, capacity, amenities, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [name, address, capacity, amenities, req.user.id]
+    );
+    return result.rows[0];
+  }, req.user.id);
+  
+  res.status(201).json(room);
+}));
+
+// Update Room (events keep pointing at it, so a rename needs no event changes)
+app.put('/api/rooms/:id', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.updateRoom), asyncHandler(async (req, res) => {
+  const { name, address, capacity, amenities } = req.body;
+  
+  const room = await withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT r.id FROM rooms r WHERE r.id = $1 AND ${sharedRoomCondition('$2', '$3')} AND r.deleted_at IS NULL FOR UPDATE OF r`,
+      [req.params.id, req.user.id, permissionsIncluding('edit_event')]
+    );
+    
+    if (current.rows.length === 0) {
+      throw createError(404, 'Room not found or not authorized');
+    }
+    
+    // Upcoming events must still fit after a capacity change
+    const tooLarge = await client.query(
+      `SELECT e.id, e.title FROM events e
+       WHERE e.room_id = $1 AND e.date > NOW()
+       AND e.deleted_at IS NULL AND e.status IN ('draft', 'published')
+       AND e.available_seats + COALESCE(
+         (SELECT SUM(seats) FROM bookings WHERE event_id = e.id), 0
+       ) > $2
+       LIMIT 1`,
+      [req.params.id, capacity]
+    );
+    
+    if (tooLarge.rows.length > 0) {
+      throw createError(400, `Capacity is too small for upcoming event "${tooLarge.rows[0].title}"`);
+    }
+    
+    const result = await client.query(
+      'UPDATE rooms SET name = $1, address = $2, capacity = $3, amenities = $4 WHERE id = $5 RETURNING *',
+      [name, address, capacity, amenities, req.params.id]
+    );
+    
+    return result.rows[0];
+  }, req.user.id);
+  
+  res.json(room);
+}));
+
+// Delete Room (a soft delete, once no upcoming events use it; past events keep pointing at it)
+app.delete('/api/rooms/:id', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.roomById), asyncHandler(async (req, res) => {
+  await withTransaction(async (client) => {
+    const room = await client.query(
+      'SELECT id FROM rooms WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+    
+    if (room.rows.length === 0) {
+      throw createError(404, 'Room not found or not authorized');
+    }
+    
+    const events = await client.query(
+      `SELECT COUNT(*) FROM events
+       WHERE room_id = $1 AND date > NOW() AND deleted_at IS NULL AND status IN ('draft', 'published')`,
+      [req.params.id]
+    );
+    
+    if (parseInt(events.rows[0].count) > 0) {
+      throw createError(409, 'Room still has upcoming events; move or cancel them first');
+    }
+    
+    await client.query('UPDATE rooms SET deleted_at = NOW() WHERE id = $1', [req.params.id]);
+  }, req.user.id);
+  
+  res.json({ message: 'Room deleted successfully' });
+}));
+
+// Restore a Deleted Room
+app.post('/api/rooms/:id/restore', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.roomById), asyncHandler(async (req, res) => {
+  const room = await withTransaction(async (client) => {
+    const result = await client.query(
+      'UPDATE rooms SET deleted_at = NULL WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING *',
+      [req.params.id, req.user.id]
+    );
+    return result.rows[0];
+  }, req.user.id);
+  
+  if (!room) {
+    return res.status(404).json({ error: 'Deleted room not found or not authorized' });
+  }
+  
+  res.json(room);
+}));
+
+// Events CRUD Operations
+
+// Create Event
+app.post('/api/events', authenticateToken, requireRole('organizer', 'admin'), idempotent, validate(schemas.createEvent), asyncHandler(async (req, res) => {
+  const event = await withTransaction((client) => createEvent(client, req.user.id, req.body), req.user.id);
+  res.status(201).json(event);
+}));
+
+// Create a Recurring Event Series: every occurrence is created as a bookable event
+app.post('/api/events/series', authenticateToken, requireRole('organizer', 'admin'), idempotent, validate(schemas.createEventSeries), asyncHandler(async (req, res) => {
+  const { frequency, interval, until, count, exdates, ...fields } = req.body;
+  
+  const timeZone = canonicalTimeZone(fields.time_zone) || DEFAULT_TIME_ZONE;
+  const first = toInstant(fields.date, timeZone);
+  const last = until ? toInstant(until, timeZone) : null;
+  
+  const starts = expandRecurrence({ start: first, frequency, interval, until: last, count, exdates, timeZone });
+  if (!starts) {
+    return res.status(422).json({ error: `A series can have at most ${MAX_OCCURRENCES} occurrences` });
+  }
+  if (starts.length === 0) {
+    return res.status(422).json({ error: 'The recurrence rule leaves no occurrences' });
+  }
+  
+  const duration = fields.end_date ? toInstant(fields.end_date, timeZone) - first : null;
+  
+  const result = await withTransaction(async (client) => {
+    const series = await client.query(
+      `INSERT INTO event_series (frequency, repeat_interval, until, count, exdates, time_zone, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [frequency, interval, last, count, exdates, timeZone, req.user.id]
+    );
+    
+    const events = [];
+    for (const start of starts) {
+      try {
+        events.push(await createEvent(client, req.user.id, {
+          ...fields,
+          date: start,
+          end_date: duration === null ? null : new Date(start.getTime() + duration),
+          time_zone: timeZone,
+          series_id: series.rows[0].id
+        }));
+      } catch (err) {
+        if (!err.status) throw err;
+        throw createError(err.status, `Occurrence on ${toWallClock(start, timeZone).toISOString().slice(0, 10)}: ${err.message}`);
+      }
+    }
+    
+    return { series: series.rows[0], events };
+  }, req.user.id);
+  
+  res.status(201).json(result);
+}));
+
+// Get Event Series with all of its occurrences the user can see (drafts only for those
+// who can see the draft); a series with none of them is not found
+app.get('/api/events/series/:id', authenticateToken, validate(schemas.eventSeriesById), asyncHandler(async (req, res) => {
+  const events = await pool.query(
+    `SELECT e.id, e.title, e.date, e.end_date, e.time_zone, e.available_seats, e.status, r.name as location
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.series_id = $1 AND e.deleted_at IS NULL
+     AND (e.status <> 'draft' OR e.user_id = $2 OR $3 OR ${coOrganizerCondition('e.id', '$2')})
+     ORDER BY e.date`,
+    [req.params.id, req.user.id, req.user.role === 'admin']
+  );
+  
+  if (events.rows.length === 0) {
+    return res.status(404).json({ error: 'Event series not found' });
+  }
+  
+  const series = await pool.query('SELECT * FROM event_series WHERE id = $1', [req.params.id]);
+  
+  res.json({ ...series.rows[0], events: events.rows.map(withLocalTimes) });
+}));
+
+// Columns accepted by the CSV import, the same fields as Create Event
+const IMPORT_COLUMNS = Object.keys(schemas.createEvent.body);
+const IMPORT_MAX_ROWS = 1000;
+
+// Bulk Import Events from a text/csv body with a header row
+// Either every row is created or none is; with dry_run only the checks are run
+app.post(
+  '/api/events/import',
+  authenticateToken,
+  requireRole('organizer', 'admin'),
+  bodyParser.text({ type: 'text/csv', limit: '1mb' }),
+  validate(schemas.importEvents),
+  asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the events as a text/csv request body' });
+    }
+    
+    const [header, ...rows] = parseCsv(req.body);
+    const columns = header.map((column) => column.trim());
+    
+    const unknown = columns.filter((column) => !IMPORT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown columns: ${unknown.join(', ')}` });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The CSV has no event rows' });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(422).json({ error: `At most ${IMPORT_MAX_ROWS} events can be imported at once` });
+    }
+    
+    const details = [];
+    const events = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await setAuditActor(client, req.user.id);
+      
+      for (const [index, cells] of rows.entries()) {
+        const row = index + 2; // spreadsheet row number, after the header
+        const input = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+        
+        const { value, details: problems } = validateObject(schemas.createEvent.body, input, 'row');
+        if (problems.length > 0) {
+          details.push(...problems.map(({ field, message }) => ({ row, field, message })));
+          continue;
+        }
+        
+        // A savepoint per row lets later rows be checked after one fails
+        await client.query('SAVEPOINT import_row');
+        try {
+          events.push(await createEvent(client, req.user.id, value));
+          await client.query('RELEASE SAVEPOINT import_row');
+        } catch (err) {
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+          if (!err.status) throw err;
+          details.push({ row, message: err.message });
+        }
+      }
+      
+      if (details.length > 0 || req.query.dry_run) {
+        await client.query('ROLLBACK');
+      } else {
+        await client.query('COMMIT');
+      }
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    
+    if (details.length > 0) {
+      return res.status(422).json({ error: 'Import failed, no events were created', details });
+    }
+    
+    if (req.query.dry_run) {
+      return res.json({ dryRun: true, valid: events.length });
+    }
+    
+    res.status(201).json({ imported: events.length, events });
+  })
+);
+
+// Sort options for the events list, keyed by the value of the sort query parameter
+// (schemas.listEvents lists the same keys)
+const EVENT_SORTS = {
+  'date': { column: 'e.date', direction: 'ASC' },
+  '-date': { column: 'e.date', direction: 'DESC' },
+  'title': { column: 'e.title', direction: 'ASC' },
+  '-title': { column: 'e.title', direction: 'DESC' },
+  'created_at': { column: 'e.created_at', direction: 'ASC' },
+  '-created_at': { column: 'e.created_at', direction: 'DESC' }
+};
+
+// Get All Events (with search, filters and page or cursor pagination)
+app.get('/api/events', validate(schemas.listEvents), asyncHandler(async (req, res) => {
+  const {
+    q, from, to, room_id, location, organizer_id, status, has_seats, include_past,
+    sort, cursor, page, limit
+  } = req.query;
+  
+  const sortOption = EVENT_SORTS[sort];
+  const conditions = ['e.deleted_at IS NULL'];
+  const queryParams = [];
+  const addParam = (value) => {
+    queryParams.push(value);
+    return '$' + queryParams.length;
+  };
+  
+  // Published and cancelled events unless a status is asked for; drafts are never listed
+  if (status) {
+    conditions.push(`e.status = ${addParam(status)}`);
+  } else {
+    conditions.push("e.status IN ('published', 'cancelled')");
+  }
+  
+  // Full-text search over title and description
+  if (q) {
+    conditions.push(
+      `to_tsvector('english', e.title || ' ' || COALESCE(e.description, '')) @@ websearch_to_tsquery('english', ${addParam(q)})`
+    );
+  }
+  
+  // Only upcoming events unless a start of range or past events are asked for
+  if (from) {
+    conditions.push(`e.date >= ${addParam(from)}`);
+  } else if (!include_past) {
+    conditions.push('e.date > NOW()');
+  }
+  if (to) {
+    conditions.push(`e.date <= ${addParam(to)}`);
+  }
+  if (room_id) {
+    conditions.push(`e.room_id = ${addParam(room_id)}`);
+  }
+  if (location) {
+    conditions.push(`r.name ILIKE ${addParam('%' + location + '%')}`);
+  }
+  if (organizer_id) {
+    conditions.push(`e.user_id = ${addParam(organizer_id)}`);
+  }
+  if (has_seats) {
+    conditions.push('e.available_seats > 0');
+  }
+  
+  const fromClause = 'FROM events e LEFT JOIN rooms r ON e.room_id = r.id';
+  const filterClause = 'WHERE ' + conditions.join(' AND ');
+  
+  const countResult = await pool.query(
+    `SELECT COUNT(*) ${fromClause} ${filterClause}`,
+    queryParams
+  );
+  const total = parseInt(countResult.rows[0].count);
+  
+  // A cursor continues after the last row of the previous page; without one, fall back to OFFSET
+  let offset = 0;
+  if (cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (!position || position.sort !== sort || position.value === undefined || !position.id) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const operator = sortOption.direction === 'ASC' ? '>' : '<';
+    conditions.push(
+      `(${sortOption.column}, e.id) ${operator} (${addParam(position.value)}, ${addParam(position.id)})`
+    );
+  } else {
+    offset = (page - 1) * limit;
+  }
+  
+  const result = await pool.query(
+    `SELECT e.*, r.name as location, ${sortOption.column}::text as sort_value
+     ${fromClause}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${sortOption.column} ${sortOption.direction}, e.id ${sortOption.direction}
+     LIMIT ${addParam(limit + 1)} OFFSET ${addParam(offset)}`,
+    queryParams
+  );
+  
+  // One extra row tells whether there is a next page
+  const hasMore = result.rows.length > limit;
+  const events = result.rows.slice(0, limit).map(({ sort_value, ...event }) => withLocalTimes(event));
+  const lastRow = result.rows[limit - 1];
+  const nextCursor = hasMore
+    ? Buffer.from(JSON.stringify({ sort, value: lastRow.sort_value, id: lastRow.id })).toString('base64url')
+    : null;
+  
+  res.json({
+    events,
+    pagination: {
+      page: cursor ? null : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor
+    }
+  });
+}));
+
+// Get Single Event with Booking Status (for authenticated users; drafts only for their organizers and admins)
+app.get('/api/events/:id', authenticateToken, validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  
+  // Get event details
+  const eventResult = await pool.query(
+    `SELECT e.*, u.name as organizer_name,
+     r.name as location, r.address as room_address, r.capacity as room_capacity
+     FROM events e
+     JOIN users u ON e.user_id = u.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.id = $1 AND e.deleted_at IS NULL
+     AND (e.status <> 'draft' OR e.user_id = $2 OR $3 OR ${coOrganizerCondition('e.id', '$2')})`,
+    [eventId, req.user.id, req.user.role === 'admin']
+  );
+  
+  if (eventResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  // Check if user has already booked this event
+  const bookingResult = await pool.query(
+    'SELECT id, seats FROM bookings WHERE event_id = $1 AND user_id = $2',
+    [eventId, req.user.id]
+  );
+  
+  // Get total bookings for this event
+  const bookingsCount = await pool.query(
+    'SELECT SUM(seats) as total_seats FROM bookings WHERE event_id = $1',
+    [eventId]
+  );
+  
+  // Get waitlist length and the user's own place in it
+  const waitlistResult = await pool.query(
+    `SELECT COUNT(*) as length,
+     COUNT(*) FILTER (WHERE id <= (
+       SELECT id FROM waitlist WHERE event_id = $1 AND user_id = $2
+     )) as position
+     FROM waitlist WHERE event_id = $1`,
+    [eventId, req.user.id]
+  );
+  
+  const event = eventResult.rows[0];
+  const response = {
+    ...withLocalTimes(event),
+    hasBooked: bookingResult.rows.length > 0,
+    bookingDetails: bookingResult.rows.length > 0 ? bookingResult.rows[0] : null,
+    bookedSeats: parseInt(bookingsCount.rows[0].total_seats) || 0,
+    waitlistLength: parseInt(waitlistResult.rows[0].length),
+    waitlistPosition: parseInt(waitlistResult.rows[0].position) || null
+  };
+  
+  res.json(response);
+}));
+
+// Stream Live Updates of an event as Server-Sent Events (same visibility as Get Single Event).
+// A snapshot event with the current seats comes first, then seats, updated, cancelled and
+// deleted events carrying the event's new state, from whichever server made the change.
+// The stream ends after deleted, with resync when updates may have been missed, and with
+// token_expired when the access token runs out; clients reconnect for a new snapshot.
+app.get('/api/events/:id/stream', tokenFromQuery, authenticateToken, validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const eventId = req.params.id;
+  
+  // Subscribe before reading the snapshot so no change falls in between; updates carry
+  // the whole state, so one already in the snapshot does no harm when repeated
+  const pending = [];
+  let send = (type, data) => pending.push([type, data]);
+  const unsubscribe = await subscribeToEvent(eventId, (update) => send(update.type, update.type === 'resync' ? update : withLocalTimes(update)));
+  
+  let eventResult;
+  try {
+    eventResult = await pool.query(
+      `SELECT e.id as event_id, e.title, e.date, e.end_date, e.time_zone, e.room_id, e.status, e.available_seats,
+       (SELECT COALESCE(SUM(seats), 0) FROM bookings WHERE event_id = e.id)::int as booked_seats
+       FROM events e
+       WHERE e.id = $1 AND e.deleted_at IS NULL
+       AND (e.status <> 'draft' OR e.user_id = $2 OR $3 OR ${coOrganizerCondition('e.id', '$2')})`,
+      [eventId, req.user.id, req.user.role === 'admin']
+    );
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  
+  if (eventResult.rows.length === 0) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  
+  let heartbeat;
+  let expiry;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    res.end();
+  };
+  
+  send = (type, data) => {
+    if (closed) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (['deleted', 'resync', 'token_expired'].includes(type)) {
+      close();
+    }
+  };
+  
+  send('snapshot', { type: 'snapshot', ...withLocalTimes(eventResult.rows[0]) });
+  pending.forEach(([type, data]) => send(type, data));
+  
+  // Comments keep proxies from timing out an idle stream
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  expiry = setTimeout(() => send('token_expired', {}), req.user.exp * 1000 - Date.now());
+  req.on('close', close);
+}));
+
+// Update Event. For an occurrence of a series, ?scope=following also applies the edit to
+// the later occurrences, split off into a series of their own, and ?scope=series to all of them.
+app.put('/api/events/:id', authenticateToken, validate(schemas.updateEvent), asyncHandler(async (req, res) => {
+  const { scope } = req.query;
+  
+  const result = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.id, { permission: 'edit_event' });
+    
+    if (!EDITABLE_STATUSES.includes(current.status)) {
+      throw createError(409, `A ${current.status} event cannot be edited`);
+    }
+    
+    // Co-organizers edit with the organizer's rooms
+    if (scope === 'occurrence') {
+      return updateEvent(client, req.params.id, current.user_id, req.body);
+    }
+    if (!current.series_id) {
+      throw createError(422, 'Event is not part of a series');
+    }
+    if (current.user_id !== req.user.id) {
+      throw createError(403, 'Only the organizer can change a whole series');
+    }
+    
+    const seriesId = scope === 'following' ? await splitSeries(client, current) : current.series_id;
+    const events = await updateSeries(client, seriesId, current, req.user.id, req.body);
+    return { series_id: seriesId, events };
+  }, req.user.id);
+  
+  res.json(result);
+}));
+
+// Get Event Attendees (event organizer, co-organizers managing attendees, or admin), as JSON or with ?format=csv.
+// Each booking lists the people its holder named for its seats.
+app.get('/api/events/:id/attendees', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.eventAttendees), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user, 'manage_attendees');
+  
+  const attendees = await pool.query(
+    `SELECT b.id as booking_id, u.name, u.email, b.seats, b.created_at as booked_at,
+     COALESCE(a.named_attendees, '[]') as named_attendees
+     FROM bookings b
+     JOIN users u ON b.user_id = u.id
+     LEFT JOIN LATERAL (
+       SELECT json_agg(json_build_object('id', id, 'name', name, 'email', email) ORDER BY id) as named_attendees
+       FROM booking_attendees WHERE booking_id = b.id
+     ) a ON TRUE
+     WHERE b.event_id = $1
+     ORDER BY b.created_at, b.id`,
+    [req.params.id]
+  );
+  
+  if (req.query.format === 'csv') {
+    const rows = attendees.rows.map((row) => ({
+      ...row,
+      named_attendees: row.named_attendees
+        .map((attendee) => (attendee.email ? `${attendee.name} <${attendee.email}>` : attendee.name))
+        .join('; ')
+    }));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${req.params.id}-attendees.csv"`);
+    return res.send(toCsv(['name', 'email', 'seats', 'booked_at', 'named_attendees'], rows));
+  }
+  
+  res.json({
+    event,
+    bookedSeats: attendees.rows.reduce((total, attendee) => total + attendee.seats, 0),
+    attendees: attendees.rows
+  });
+}));
+
+// Delete Event, or with ?scope=following or ?scope=series also later or all occurrences of its series.
+// Deleted events are kept, hidden, and can be restored; their bookings are cancelled and refunded.
+app.delete('/api/events/:id', authenticateToken, validate(schemas.deleteEvent), asyncHandler(async (req, res) => {
+  const { scope } = req.query;
+  
+  const deleted = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.id, { permission: 'edit_event' });
+    
+    if (scope !== 'occurrence' && !current.series_id) {
+      throw createError(422, 'Event is not part of a series');
+    }
+    if (scope !== 'occurrence' && current.user_id !== req.user.id) {
+      throw createError(403, 'Only the organizer can change a whole series');
+    }
+    
+    if (scope === 'occurrence') {
+      // Remember the skipped date on the series, as an iCalendar EXDATE would
+      if (current.series_id) {
+        await client.query(
+          'UPDATE event_series SET exdates = array_append(exdates, ($1::timestamptz AT TIME ZONE $3)::date) WHERE id = $2',
+          [current.date, current.series_id, current.time_zone]
+        );
+      }
+      await deleteEvent(client, req.params.id);
+      if (current.series_id) {
+        await refreshSeries(client, current.series_id);
+      }
+      return [current.id];
+    }
+    
+    const occurrences = await client.query(
+      'SELECT id FROM events WHERE series_id = $1 AND date >= $2 AND deleted_at IS NULL ORDER BY date FOR UPDATE',
+      [current.series_id, scope === 'series' ? '-infinity' : current.date]
+    );
+    
+    for (const occurrence of occurrences.rows) {
+      await deleteEvent(client, occurrence.id);
+    }
+    await refreshSeries(client, current.series_id);
+    
+    return occurrences.rows.map((occurrence) => occurrence.id);
+  }, req.user.id);
+  
+  res.json({
+    message: deleted.length === 1
+      ? 'Event deleted and its bookings cancelled successfully'
+      : `${deleted.length} events deleted and their bookings cancelled successfully`,
+    deleted
+  });
+}));
+
+// Change Event Status (event organizer, co-organizers editing the event, or admin).
+// Cancelling calls off every booking; a cancelled event can be published again if its
+// room is still free.
+app.put('/api/events/:id/status', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.updateEventStatus), asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  
+  const event = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.role === 'admin' ? null : req.user.id, { permission: 'edit_event' });
+    
+    if (!EVENT_STATUS_CHANGES[current.status].includes(status)) {
+      throw createError(409, `A ${current.status} event cannot be made ${status}`);
+    }
+    if (status === 'archived' && new Date(current.end_date || current.date) > new Date()) {
+      throw createError(409, 'Only past events can be archived');
+    }
+    
+    if (status === 'cancelled') {
+      await cancelEventBookings(client, current.id);
+    }
+    if (current.status === 'cancelled' && status === 'published') {
+      await recheckEventRoom(client, current.id, current.user_id);
+    }
+    
+    const result = await client.query(
+      `UPDATE events SET status = $1, sequence = sequence + 1, updated_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [status, current.id]
+    );
+    
+    const event = withLocalTimes(result.rows[0]);
+    await queueWebhook(client, current.id, 'event.updated', { event });
+    return event;
+  }, req.user.id);
+  
+  res.json(event);
+}));
+
+// Restore a Deleted Event (event organizer, co-organizers editing it, or admin), as a draft or
+// cancelled event like before it was deleted; it takes back its place in its series and,
+// unless cancelled, its room
+app.post('/api/events/:id/restore', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const event = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.role === 'admin' ? null : req.user.id, {
+      deleted: true,
+      permission: 'edit_event'
+    });
+    
+    if (current.status !== 'cancelled') {
+      await recheckEventRoom(client, current.id, current.user_id);
+    }
+    
+    const result = await client.query(
+      `UPDATE events SET deleted_at = NULL, sequence = sequence + 1, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [current.id]
+    );
+    
+    if (current.series_id) {
+      await client.query(
+        'UPDATE event_series SET exdates = array_remove(exdates, ($1::timestamptz AT TIME ZONE $3)::date) WHERE id = $2',
+        [current.date, current.series_id, current.time_zone]
+      );
+      await refreshSeries(client, current.series_id);
+    }
+    
+    const event = withLocalTimes(result.rows[0]);
+    await queueWebhook(client, current.id, 'event.updated', { event });
+    return event;
+  }, req.user.id);
+  
+  res.json(event);
+}));
+
+// Co-organizers (see organizers.js)
+
+// Days an invitation to co-organize an event can be accepted
+const ORGANIZER_INVITATION_DAYS = 7;
+
+// Co-organizer columns, with the co-organizer's name and email
+const ORGANIZER_COLUMNS = `o.id, o.event_id, o.user_id, u.name, u.email, o.permission, o.invited_by,
+  o.accepted_at IS NOT NULL as accepted, o.accepted_at, o.expires_at, o.created_at`;
+
+// List an Event's Co-organizers, pending invitations included (its organizer, co-organizers and admins)
+app.get('/api/events/:id/organizers', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user, 'view_stats');
+  
+  const result = await pool.query(
+    `SELECT ${ORGANIZER_COLUMNS}
+     FROM event_organizers o
+     JOIN users u ON o.user_id = u.id
+     WHERE o.event_id = $1
+     ORDER BY o.id`,
+    [event.id]
+  );
+  
+  res.json({ organizer_id: event.user_id, co_organizers: result.rows });
+}));
+
+// Invite a Co-organizer by the email of their organizer account (event organizer or admin).
+// Inviting someone again renews their pending invitation.
+app.post('/api/events/:id/organizers', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.inviteOrganizer), asyncHandler(async (req, res) => {
+  const { email, permission } = req.body;
+  
+  const invitation = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.role === 'admin' ? null : req.user.id);
+    
+    const invitee = await client.query(
+      "SELECT id, name, email FROM users WHERE email = $1 AND role IN ('organizer', 'admin')",
+      [email]
+    );
+    if (invitee.rows.length === 0) {
+      throw createError(422, 'No organizer account has that email');
+    }
+    if (invitee.rows[0].id === current.user_id) {
+      throw createError(422, 'The organizer of the event cannot also be its co-organizer');
+    }
+    
+    const result = await client.query(
+      `INSERT INTO event_organizers (event_id, user_id, permission, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+       ON CONFLICT (event_id, user_id) DO UPDATE SET
+       permission = EXCLUDED.permission, invited_by = EXCLUDED.invited_by,
+       expires_at = EXCLUDED.expires_at, created_at = NOW()
+       WHERE event_organizers.accepted_at IS NULL
+       RETURNING id`,
+      [current.id, invitee.rows[0].id, permission, req.user.id, ORGANIZER_INVITATION_DAYS]
+    );
+    if (result.rows.length === 0) {
+      throw createError(409, 'Already a co-organizer of this event; change their permission instead');
+    }
+    
+    const details = await client.query(
+      `SELECT ${ORGANIZER_COLUMNS}, e.title, e.date, e.time_zone, i.name as inviter_name
+       FROM event_organizers o
+       JOIN users u ON o.user_id = u.id
+       JOIN events e ON o.event_id = e.id
+       JOIN users i ON o.invited_by = i.id
+       WHERE o.id = $1`,
+      [result.rows[0].id]
+    );
+    const { title, date, time_zone, inviter_name, ...row } = details.rows[0];
+    
+    await queueNotification(client, row.user_id, 'organizer_invited', {
+      event_id: row.event_id,
+      title,
+      date,
+      time_zone,
+      inviter_name,
+      permission,
+      link: `${CLIENT_URL}/co-organizing`,
+      expires_at: row.expires_at
+    });
+    return row;
+  }, req.user.id);
+  
+  res.status(201).json(invitation);
+}));
+
+// Change a Co-organizer's Permission (event organizer or admin)
+app.put('/api/events/:id/organizers/:organizerId', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.updateOrganizer), asyncHandler(async (req, res) => {
+  const organizer = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.role === 'admin' ? null : req.user.id);
+    
+    const result = await client.query(
+      'UPDATE event_organizers SET permission = $1 WHERE id = $2 AND event_id = $3 RETURNING id',
+      [req.body.permission, req.params.organizerId, current.id]
+    );
+    if (result.rows.length === 0) {
+      throw createError(404, 'Co-organizer not found');
+    }
+    
+    const details = await client.query(
+      `SELECT ${ORGANIZER_COLUMNS} FROM event_organizers o JOIN users u ON o.user_id = u.id WHERE o.id = $1`,
+      [result.rows[0].id]
+    );
+    return details.rows[0];
+  }, req.user.id);
+  
+  res.json(organizer);
+}));
+
+// Revoke a Co-organizer's Access or withdraw their invitation (event organizer or admin);
+// co-organizers can also remove themselves, declining an invitation or leaving the event
+app.delete('/api/events/:id/organizers/:organizerId', authenticateToken, validate(schemas.organizerById), asyncHandler(async (req, res) => {
+  const removed = await withTransaction(async (client) => {
+    const result = await client.query(
+      `DELETE FROM event_organizers o
+       USING events e
+       WHERE o.id = $1 AND o.event_id = $2 AND e.id = o.event_id
+       AND (o.user_id = $3 OR e.user_id = $3 OR $4)
+       RETURNING o.id`,
+      [req.params.organizerId, req.params.id, req.user.id, req.user.role === 'admin']
+    );
+    return result.rows.length > 0;
+  }, req.user.id);
+  
+  if (!removed) {
+    return res.status(404).json({ error: 'Co-organizer not found or not authorized' });
+  }
+  
+  res.json({ message: 'Co-organizer removed successfully' });
+}));
+
+// Accept an Invitation to co-organize an event (the invited organizer)
+app.post('/api/events/:id/organizers/:organizerId/accept', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.organizerById), asyncHandler(async (req, res) => {
+  const organizer = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE event_organizers SET accepted_at = NOW(), expires_at = NULL
+       WHERE id = $1 AND event_id = $2 AND user_id = $3 AND accepted_at IS NULL AND expires_at > NOW()
+       RETURNING id`,
+      [req.params.organizerId, req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      throw createError(404, 'Invitation not found or expired');
+    }
+    
+    const details = await client.query(
+      `SELECT ${ORGANIZER_COLUMNS} FROM event_organizers o JOIN users u ON o.user_id = u.id WHERE o.id = $1`,
+      [result.rows[0].id]
+    );
+    return details.rows[0];
+  }, req.user.id);
+  
+  res.json(organizer);
+}));
+
+// Get the Events the user co-organizes, with their pending invitations
+app.get('/api/co-organizing', authenticateToken, requireRole('organizer', 'admin'), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT o.id as organizer_id, o.permission, o.accepted_at IS NOT NULL as accepted, o.expires_at,
+     e.id, e.title, e.date, e.end_date, e.time_zone, e.status, r.name as location, u.name as organizer_name
+     FROM event_organizers o
+     JOIN events e ON o.event_id = e.id
+     JOIN users u ON e.user_id = u.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE o.user_id = $1 AND e.deleted_at IS NULL
+     AND (o.accepted_at IS NOT NULL OR o.expires_at > NOW())
+     ORDER BY e.date`,
+    [req.user.id]
+  );
+  
+  res.json(result.rows.map(withLocalTimes));
+}));
+
+// Transfer an Event to one of its co-organizers (event organizer or admin). The previous
+// organizer stays on as a co-organizer who can edit it; the event keeps its room.
+app.post('/api/events/:id/transfer', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.transferEvent), asyncHandler(async (req, res) => {
+  const event = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, req.user.role === 'admin' ? null : req.user.id);
+    
+    if (current.series_id) {
+      throw createError(409, 'Occurrences of a series cannot be transferred one by one');
+    }
+    
+    const successor = await client.query(
+      `DELETE FROM event_organizers o
+       USING users u
+       WHERE o.event_id = $1 AND o.user_id = $2 AND o.accepted_at IS NOT NULL
+       AND u.id = o.user_id AND u.role IN ('organizer', 'admin')
+       RETURNING o.id`,
+      [current.id, req.body.user_id]
+    );
+    if (successor.rows.length === 0) {
+      throw createError(422, 'The event can only be transferred to one of its co-organizers');
+    }
+    
+    await client.query(
+      `INSERT INTO event_organizers (event_id, user_id, permission, invited_by, accepted_at)
+       VALUES ($1, $2, 'edit_event', $3, NOW())`,
+      [current.id, current.user_id, req.body.user_id]
+    );
+    
+    const result = await client.query(
+      `UPDATE events SET user_id = $1, sequence = sequence + 1, updated_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [req.body.user_id, current.id]
+    );
+    
+    const event = withLocalTimes(result.rows[0]);
+    await queueWebhook(client, current.id, 'event.updated', { event });
+    return event;
+  }, req.user.id);
+  
+  res.json(event);
+}));
+
+// Ticket Tiers
+
+// Tier columns with what is left of each and whether it is on sale now
+const TIER_COLUMNS = `id, event_id, name, price_cents, currency, quota, sold, quota - sold as remaining,
+  sales_start, sales_end,
+  (sales_start IS NULL OR sales_start <= NOW()) AND (sales_end IS NULL OR sales_end > NOW()) as on_sale`;
+
+// Get an Event's Ticket Tiers (public; of drafts, only for those who can see the draft)
+app.get('/api/events/:id/tiers', optionalAuthentication, validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const user = req.user || { id: null, role: null };
+  const event = await pool.query(
+    `SELECT id FROM events e
+     WHERE e.id = $1 AND e.deleted_at IS NULL
+     AND (e.status <> 'draft' OR e.user_id = $2 OR $3 OR ${coOrganizerCondition('e.id', '$2')})`,
+    [req.params.id, user.id, user.role === 'admin']
+  );
+  
+  if (event.rows.length === 0) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  const result = await pool.query(
+    `SELECT ${TIER_COLUMNS} FROM ticket_tiers WHERE event_id = $1 ORDER BY price_cents, id`,
+    [req.params.id]
+  );
+  
+  res.json(result.rows);
+}));
+
+// Create Ticket Tier (event organizer, co-organizers editing the event, or admin)
+app.post('/api/events/:id/tiers', authenticateToken, requireRole('organizer', 'admin'), idempotent, validate(schemas.createTier), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user);
+  const { name, price_cents, currency, quota, sales_start, sales_end } = req.body;
+  
+  const tier = await withTransaction(async (client) => {
+    // Tiered seats are never handed to the waitlist (see promoteWaitlist), so the people on
+    // it would wait for nothing; locking the event keeps anyone from joining meanwhile
+    await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [event.id]);
+    const waitlist = await client.query('SELECT 1 FROM waitlist WHERE event_id = $1 LIMIT 1', [event.id]);
+    if (waitlist.rows.length > 0) {
+      throw createError(409, 'Ticket tiers cannot be added while the event has a waitlist');
+    }
+    
+    const result = await client.query(
+      `INSERT INTO ticket_tiers (event_id, name, price_cents, currency, quota, sales_start, sales_end)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${TIER_COLUMNS}`,
+      [event.id, name, price_cents, currency, quota, sales_start, sales_end]
+    );
+    return result.rows[0];
+  });
+  
+  res.status(201).json(tier);
+}));
+
+// Update Ticket Tier; the quota cannot drop below the tickets already sold
+app.put('/api/events/:id/tiers/:tierId', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.updateTier), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user);
+  const { name, price_cents, currency, quota, sales_start, sales_end } = req.body;
+  
+  const tier = await withTransaction(async (client) => {
+    const current = await client.query(
+      'SELECT sold FROM ticket_tiers WHERE id = $1 AND event_id = $2 FOR UPDATE',
+      [req.params.tierId, event.id]
+    );
+    
+    if (current.rows.length === 0) {
+      throw createError(404, 'Ticket tier not found');
+    }
+    if (quota < current.rows[0].sold) {
+      throw createError(409, `${current.rows[0].sold} tickets of this tier are already sold`);
+    }
+    
+    const result = await client.query(
+      `UPDATE ticket_tiers SET name = $1, price_cents = $2, currency = $3, quota = $4, sales_start = $5, sales_end = $6
+       WHERE id = $7
+       RETURNING ${TIER_COLUMNS}`,
+      [name, price_cents, currency, quota, sales_start, sales_end, req.params.tierId]
+    );
+    return result.rows[0];
+  });
+  
+  res.json(tier);
+}));
+
+// Delete Ticket Tier, as long as none of its tickets are sold
+app.delete('/api/events/:id/tiers/:tierId', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.tierById), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user);
+  
+  const result = await pool.query(
+    'DELETE FROM ticket_tiers WHERE id = $1 AND event_id = $2 AND sold = 0 RETURNING id',
+    [req.params.tierId, event.id]
+  );
+  
+  if (result.rows.length === 0) {
+    const exists = await pool.query(
+      'SELECT 1 FROM ticket_tiers WHERE id = $1 AND event_id = $2',
+      [req.params.tierId, event.id]
+    );
+    if (exists.rows.length === 0) {
+      return res.status(404).json({ error: 'Ticket tier not found' });
+    }
+    return res.status(409).json({ error: 'Tickets of this tier have been sold' });
+  }
+  
+  res.json({ message: 'Ticket tier deleted successfully' });
+}));
+
+// Calendar Export
+
+// Event columns for iCalendar output, with times rendered as UTC in the database
+const CALENDAR_EVENT_QUERY = `
+  SELECT e.id, e.title, e.description, e.sequence, e.status,
+  to_char(e.date AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as dtstart,
+  to_char(e.end_date AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as dtend,
+  to_char(e.updated_at AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"') as last_modified,
+  r.name as location, r.address,
+  u.name as organizer_name, u.email as organizer_email
+  FROM events e
+  JOIN users u ON e.user_id = u.id
+  LEFT JOIN rooms r ON e.room_id = r.id`;
+
+// Helper function to build the public URL of a user's calendar feed
+const calendarFeedUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/${token}.ics`;
+};
+
+// Download Single Event as .ics
+app.get('/api/events/:id/ics', validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `${CALENDAR_EVENT_QUERY} WHERE e.id = $1 AND e.deleted_at IS NULL AND e.status <> 'draft'`,
+    [req.params.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="event-${req.params.id}.ics"`);
+  res.send(buildCalendar(result.rows));
+}));
+
+// Get Personal Calendar Feed URL (created on first use)
+app.get('/api/calendar', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `UPDATE users SET calendar_token = COALESCE(calendar_token, $1)
+     WHERE id = $2
+     RETURNING calendar_token`,
+    [crypto.randomBytes(24).toString('hex'), req.user.id]
+  );
+  
+  res.json({ url: calendarFeedUrl(req, result.rows[0].calendar_token) });
+}));
+
+// Reset Personal Calendar Feed URL (the old URL stops working)
+app.post('/api/calendar/reset', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'UPDATE users SET calendar_token = $1 WHERE id = $2 RETURNING calendar_token',
+    [crypto.randomBytes(24).toString('hex'), req.user.id]
+  );
+  
+  res.json({ url: calendarFeedUrl(req, result.rows[0].calendar_token) });
+}));
+
+// Personal Calendar Feed: events the user organizes or has booked
+// Authenticated by the secret token in the URL, since calendar apps cannot send a JWT
+app.get('/api/calendar/:token.ics', validate(schemas.calendarFeed), asyncHandler(async (req, res) => {
+  const user = await pool.query(
+    'SELECT id, name FROM users WHERE calendar_token = $1',
+    [req.params.token]
+  );
+  
+  if (user.rows.length === 0) {
+    return res.status(404).json({ error: 'Calendar not found' });
+  }
+  
+  const events = await pool.query(
+    `${CALENDAR_EVENT_QUERY}
+     WHERE (e.user_id = $1 OR e.id IN (SELECT event_id FROM bookings WHERE user_id = $1))
+     AND e.deleted_at IS NULL AND e.status <> 'draft'
+     ORDER BY e.date`,
+    [user.rows[0].id]
+  );
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.send(buildCalendar(events.rows, { name: `${user.rows[0].name}'s events` }));
+}));
+
+// Bookings CRUD Operations
+
+// Create Booking (with check for existing booking)
+// With join_waitlist set, a request that cannot be seated joins the event's waitlist instead.
+// Paid tickets become an order holding the seats until the payment at checkout_url confirms it.
+app.post('/api/bookings', bookingIpLimit, authenticateToken, bookingAccountLimit, requireVerifiedEmail, idempotent, validate(schemas.createBooking), asyncHandler(async (req, res) => {
+  const { event_id, seats, tier_id, join_waitlist } = req.body;
+  
+  const outcome = await withTransaction(async (client) => {
+    // Lock the event row so concurrent bookings for it are serialized
+    const event = await client.query(
+      'SELECT id, available_seats, status FROM events WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [event_id]
+    );
+    if (event.rows.length === 0) {
+      throw createError(404, 'Event not found');
+    }
+    if (event.rows[0].status !== 'published') {
+      throw createError(409, 'Event is not open for booking');
+    }
+    
+    await expireOrders(client, event_id);
+    
+    // Check if user has already booked this event
+    const existingBooking = await client.query(
+      'SELECT id FROM bookings WHERE event_id = $1 AND user_id = $2',
+      [event_id, req.user.id]
+    );
+    
+    if (existingBooking.rows.length > 0) {
+      throw createError(400, 'You have already booked this event');
+    }
+    
+    const pendingOrder = await client.query(
+      "SELECT id FROM orders WHERE event_id = $1 AND user_id = $2 AND status = 'pending'",
+      [event_id, req.user.id]
+    );
+    
+    if (pendingOrder.rows.length > 0) {
+      throw createError(400, 'You already have an order for this event waiting for payment');
+    }
+    
+    const tier = await reserveTierSeats(client, event_id, tier_id, seats);
+    
+    // Take the seats only if they are still available
+    const seatsResult = await client.query(
+      `UPDATE events SET available_seats = available_seats - $1
+       WHERE id = $2 AND available_seats >= $1
+       RETURNING available_seats`,
+      [seats, event_id]
+    );
+    
+    if (seatsResult.rowCount === 0) {
+      // Ticket tiers have no waitlist
+      if (!join_waitlist || tier) {
+        throw createError(409, 'Not enough seats available');
+      }
+      
+      const entry = await client.query(
+        'INSERT INTO waitlist (event_id, user_id, seats) VALUES ($1, $2, $3) RETURNING *',
+        [event_id, req.user.id, seats]
+      );
+      const position = await client.query(
+        'SELECT COUNT(*) FROM waitlist WHERE event_id = $1 AND id <= $2',
+        [event_id, entry.rows[0].id]
+      );
+      
+      return { waitlist: { ...entry.rows[0], position: parseInt(position.rows[0].count) } };
     }
     
-    if (event.rows[0].available_seats < seats) {
-      return res.status(400).json({ error: 'Not enough seats available' });
+    if (tier && tier.price_cents > 0) {
+      return createOrder(client, req.user.id, tier, seats);
     }
     
     // Create booking
-    const bookingResult = await pool.query(
-      'INSERT INTO bookings (event_id, user_id, seats) VALUES ($1, $2, $3) RETURNING *',
-      [event_id, req.user.id, seats]
+    const bookingResult = await client.query(
+      'INSERT INTO bookings (event_id, user_id, seats, tier_id) VALUES ($1, $2, $3, $4) RETURNING *',
+      [event_id, req.user.id, seats, tier ? tier.id : null]
+    );
+    
+    // A booking replaces any waitlist entry the user had for this event
+    await client.query(
+      'DELETE FROM waitlist WHERE event_id = $1 AND user_id = $2',
+      [event_id, req.user.id]
+    );
+    
+    await notifyBooking(client, 'booking_confirmed', bookingResult.rows[0]);
+    await bookingWebhook(client, 'booking.created', bookingResult.rows[0]);
+    
+    return { booking: bookingResult.rows[0] };
+  }, req.user.id);
+  
+  if (outcome.waitlist) {
+    return res.status(202).json({ message: 'Added to waitlist', waitlist: outcome.waitlist });
+  }
+  if (outcome.order) {
+    return res.status(202).json({
+      message: 'Complete the payment to confirm your booking',
+      order: outcome.order,
+      checkout_url: outcome.checkoutUrl
+    });
+  }
+  
+  res.status(201).json(outcome.booking);
+}));
+
+// Get User Bookings with more details
+app.get('/api/bookings', authenticateToken, validate(schemas.listBookings), asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT b.id, b.seats, b.created_at as booking_date, b.ticket_code, b.checked_in_at,
+     b.tier_id, t.name as tier_name, b.order_id,
+     e.id as event_id, e.title, e.description, e.date, e.end_date, e.time_zone, r.name as location, 
+     u.name as organizer_name, u.email as organizer_email,
+     (SELECT COUNT(*)::int FROM booking_attendees WHERE booking_id = b.id) as named_attendee_count
+     FROM bookings b 
+     JOIN events e ON b.event_id = e.id
+     JOIN users u ON e.user_id = u.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     LEFT JOIN ticket_tiers t ON b.tier_id = t.id
+     WHERE b.user_id = $1
+     ORDER BY b.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [req.user.id, limit, offset]
+  );
+  
+  const countResult = await pool.query(
+    'SELECT COUNT(*) FROM bookings WHERE user_id = $1',
+    [req.user.id]
+  );
+  const total = parseInt(countResult.rows[0].count);
+  
+  res.json({
+    bookings: result.rows.map(withLocalTimes),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Update Booking (change number of seats)
+app.put('/api/bookings/:id', authenticateToken, validate(schemas.updateBooking), asyncHandler(async (req, res) => {
+  const { seats } = req.body;
+  
+  const booking = await withTransaction(async (client) => {
+    // Get current booking details, locking it against concurrent changes
+    const current = await client.query(
+      'SELECT * FROM bookings WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+    
+    if (current.rows.length === 0) {
+      throw createError(404, 'Booking not found or not authorized');
+    }
+    
+    // The price of a paid booking was settled for its seats
+    if (current.rows[0].order_id) {
+      throw createError(409, 'A paid booking cannot be changed; cancel it and book again');
+    }
+    
+    const { attendees, offered, staying } = await countSeatsInUse(client, req.params.id);
+    if (seats < attendees) {
+      throw createError(409, `The booking has ${attendees} named attendees; remove some before giving up their seats`);
+    }
+    if (seats < offered + staying) {
+      throw createError(409, `${offered} seats are offered in pending transfers and ${staying} named attendees stay; cancel a transfer first`);
+    }
+    
+    const currentSeats = current.rows[0].seats;
+    const eventId = current.rows[0].event_id;
+    const seatDifference = seats - currentSeats;
+    
+    // Adjust available seats, failing if the extra seats are gone
+    const seatsResult = await client.query(
+      `UPDATE events SET available_seats = available_seats - $1
+       WHERE id = $2 AND available_seats >= $1
+       RETURNING available_seats`,
+      [seatDifference, eventId]
+    );
+    
+    if (seatsResult.rowCount === 0) {
+      throw createError(409, 'Not enough seats available');
+    }
+    
+    if (current.rows[0].tier_id) {
+      const tierResult = await client.query(
+        'UPDATE ticket_tiers SET sold = sold + $1 WHERE id = $2 AND sold + $1 <= quota',
+        [seatDifference, current.rows[0].tier_id]
+      );
+      
+      if (tierResult.rowCount === 0) {
+        throw createError(409, 'Not enough tickets left in this tier');
+      }
+    }
+    
+    // Update booking
+    const result = await client.query(
+      'UPDATE bookings SET seats = $1 WHERE id = $2 RETURNING *',
+      [seats, req.params.id]
+    );
+    
+    await bookingWebhook(client, 'booking.updated', result.rows[0]);
+    
+    // Hand any seats given up to the waitlist
+    if (seatDifference < 0) {
+      await promoteWaitlist(client, eventId);
+    }
+    
+    return result.rows[0];
+  }, req.user.id);
+  
+  res.json(booking);
+}));
+
+// Cancel Booking
+app.delete('/api/bookings/:id', authenticateToken, validate(schemas.bookingById), asyncHandler(async (req, res) => {
+  const refund = await withTransaction(async (client) => {
+    // Delete booking, getting its details back in the same statement
+    const booking = await client.query(
+      'DELETE FROM bookings WHERE id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.id]
+    );
+    
+    if (booking.rows.length === 0) {
+      throw createError(404, 'Booking not found or not authorized');
+    }
+    
+    return cancelBooking(client, booking.rows[0]);
+  }, req.user.id);
+  
+  res.json({ message: 'Booking cancelled successfully', refund });
+}));
+
+// Named Attendees and Booking Transfers
+
+// Days an offer to transfer a booking can be accepted
+const BOOKING_TRANSFER_DAYS = 7;
+
+const ATTENDEE_COLUMNS = 'id, booking_id, name, email, created_at, updated_at';
+
+// Transfer columns, with the event and the sender's name; offers left unanswered show as expired
+const TRANSFER_COLUMNS = `t.id, t.booking_id, b.event_id, e.title, e.date, e.end_date, e.time_zone,
+  t.from_user_id, f.name as from_name, t.to_user_id, t.to_email, t.seats, t.attendee_ids,
+  CASE WHEN t.status = 'pending' AND t.expires_at <= NOW() THEN 'expired' ELSE t.status END as status,
+  t.received_booking_id, t.expires_at, t.responded_at, t.created_at`;
+
+const TRANSFER_JOINS = `JOIN bookings b ON t.booking_id = b.id
+  JOIN events e ON b.event_id = e.id
+  JOIN users f ON t.from_user_id = f.id`;
+
+// Helper function for the SQL condition on transfers t offered to the user in userParam: to
+// their account, or to their email before it had one, once they have verified the address
+const transferReceiverCondition = (userParam) => `(t.to_user_id = ${userParam} OR (t.to_user_id IS NULL AND t.to_email = (
+  SELECT email FROM users WHERE id = ${userParam} AND email_verified_at IS NOT NULL
+)))`;
+
+// Helper function to lock one of the user's bookings for a change
+const lockOwnBooking = async (client, bookingId, userId) => {
+  const booking = await client.query(
+    'SELECT * FROM bookings WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [bookingId, userId]
+  );
+  if (booking.rows.length === 0) {
+    throw createError(404, 'Booking not found or not authorized');
+  }
+  return booking.rows[0];
+};
+
+// Helper function to check that a booking can change hands: its event must be published
+// and still to come, and nobody can have been let in on its ticket yet. Returns the event.
+const checkTransferable = async (client, booking) => {
+  const event = await client.query(
+    `SELECT e.title, e.date, e.time_zone, e.status, e.deleted_at, r.name as location
+     FROM events e
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE e.id = $1`,
+    [booking.event_id]
+  );
+  const { status, deleted_at, ...details } = event.rows[0];
+  
+  if (deleted_at || status !== 'published' || new Date(details.date) <= new Date()) {
+    throw createError(409, 'Only bookings for upcoming published events can be transferred');
+  }
+  if (booking.checked_in_at) {
+    throw createError(409, 'A checked-in booking cannot be transferred');
+  }
+  return details;
+};
+
+// Helper function to check that the attendees staying on a booking still fit the seats it
+// keeps once some of its seats go, with the attendees in attendeeIds
+const checkStayingAttendees = async (client, booking, seats, attendeeIds) => {
+  const staying = await client.query(
+    'SELECT COUNT(*)::int as count FROM booking_attendees WHERE booking_id = $1 AND NOT (id = ANY($2::int[]))',
+    [booking.id, attendeeIds]
+  );
+  const seatsKept = booking.seats - seats;
+  if (staying.rows[0].count > seatsKept) {
+    throw createError(409, `${staying.rows[0].count} named attendees would stay with ${seatsKept} seats; choose which ones go along`);
+  }
+};
+
+// Get a Booking's Named Attendees
+app.get('/api/bookings/:id/attendees', authenticateToken, validate(schemas.bookingById), asyncHandler(async (req, res) => {
+  const booking = await pool.query(
+    'SELECT id, seats FROM bookings WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+  if (booking.rows.length === 0) {
+    return res.status(404).json({ error: 'Booking not found or not authorized' });
+  }
+  
+  const attendees = await pool.query(
+    `SELECT ${ATTENDEE_COLUMNS} FROM booking_attendees WHERE booking_id = $1 ORDER BY id`,
+    [req.params.id]
+  );
+  
+  res.json({ booking_id: booking.rows[0].id, seats: booking.rows[0].seats, attendees: attendees.rows });
+}));
+
+// Name an Attendee for one of a booking's seats (at most one per seat)
+app.post('/api/bookings/:id/attendees', authenticateToken, idempotent, validate(schemas.createAttendee), asyncHandler(async (req, res) => {
+  const { name, email } = req.body;
+  
+  const attendee = await withTransaction(async (client) => {
+    const booking = await lockOwnBooking(client, req.params.id, req.user.id);
+    
+    const { offered, staying } = await countSeatsInUse(client, booking.id);
+    if (offered + staying >= booking.seats) {
+      throw createError(409, 'Every seat of this booking already has a named attendee or is offered to someone');
+    }
+    
+    const result = await client.query(
+      `INSERT INTO booking_attendees (booking_id, name, email) VALUES ($1, $2, $3) RETURNING ${ATTENDEE_COLUMNS}`,
+      [booking.id, name, email || null]
+    );
+    return result.rows[0];
+  }, req.user.id);
+  
+  res.status(201).json(attendee);
+}));
+
+// Update a Named Attendee (an email left out is removed)
+app.put('/api/bookings/:id/attendees/:attendeeId', authenticateToken, validate(schemas.updateAttendee), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `UPDATE booking_attendees a SET name = $1, email = $2, updated_at = NOW()
+     FROM bookings b
+     WHERE a.id = $3 AND a.booking_id = $4 AND b.id = a.booking_id AND b.user_id = $5
+     RETURNING a.id, a.booking_id, a.name, a.email, a.created_at, a.updated_at`,
+    [req.body.name, req.body.email || null, req.params.attendeeId, req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Attendee not found or not authorized' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// Remove a Named Attendee; the seat stays booked
+app.delete('/api/bookings/:id/attendees/:attendeeId', authenticateToken, validate(schemas.attendeeById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `DELETE FROM booking_attendees a
+     USING bookings b
+     WHERE a.id = $1 AND a.booking_id = $2 AND b.id = a.booking_id AND b.user_id = $3
+     RETURNING a.id`,
+    [req.params.attendeeId, req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Attendee not found or not authorized' });
+  }
+  
+  res.json({ message: 'Attendee removed successfully' });
+}));
+
+// Offer a Booking, or some of its seats, to someone else by email. Whoever has (or signs up
+// with) the address can accept it until it expires; the seats stay the sender's until then.
+// A paid booking can only be transferred whole, since its payment covers all of its seats.
+app.post('/api/bookings/:id/transfers', authenticateToken, transferLimit, idempotent, validate(schemas.createTransfer), asyncHandler(async (req, res) => {
+  const { email, attendee_ids: attendeeIds } = req.body;
+  
+  const transfer = await withTransaction(async (client) => {
+    const booking = await lockOwnBooking(client, req.params.id, req.user.id);
+    const event = await checkTransferable(client, booking);
+    const seats = req.body.seats || booking.seats;
+    
+    if (booking.order_id && seats !== booking.seats) {
+      throw createError(409, 'A paid booking can only be transferred with all of its seats');
+    }
+    
+    const { offered, staying } = await countSeatsInUse(client, booking.id);
+    if (offered + seats > booking.seats) {
+      throw createError(409, `Only ${booking.seats - offered} seats of this booking are not already offered to someone`);
+    }
+    
+    const sender = await client.query('SELECT name, email FROM users WHERE id = $1', [req.user.id]);
+    if (sender.rows[0].email === email) {
+      throw createError(422, 'You cannot transfer a booking to yourself');
+    }
+    
+    const named = await client.query(
+      'SELECT id FROM booking_attendees WHERE booking_id = $1 AND id = ANY($2::int[])',
+      [booking.id, attendeeIds]
+    );
+    if (named.rows.length !== attendeeIds.length) {
+      throw createError(422, 'attendee_ids must be named attendees of this booking');
+    }
+    if (attendeeIds.length > seats) {
+      throw createError(422, 'attendee_ids cannot name more attendees than seats');
+    }
+    
+    const offeredAttendees = await client.query(
+      `SELECT 1 FROM booking_transfers
+       WHERE booking_id = $1 AND status = 'pending' AND expires_at > NOW() AND attendee_ids && $2::int[]`,
+      [booking.id, attendeeIds]
+    );
+    if (offeredAttendees.rows.length > 0) {
+      throw createError(409, 'Some of these attendees are already offered to someone else');
+    }
+    
+    // Attendees not going along stay, and need seats of their own; on a whole booking they are dropped
+    const seatsKept = booking.seats - offered - seats;
+    if (seats < booking.seats && staying - attendeeIds.length > seatsKept) {
+      throw createError(409, `${staying - attendeeIds.length} named attendees would stay with ${seatsKept} seats; choose which ones go along`);
+    }
+    
+    const receiver = await client.query(
+      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
+      [email]
+    );
+    const receiverId = receiver.rows.length > 0 ? receiver.rows[0].id : null;
+    
+    const result = await client.query(
+      `INSERT INTO booking_transfers (booking_id, from_user_id, to_user_id, to_email, seats, attendee_ids, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+       RETURNING id`,
+      [booking.id, req.user.id, receiverId, email, seats, attendeeIds, BOOKING_TRANSFER_DAYS]
     );
     
-    // Update available seats
-    await pool.query(
-      'UPDATE events SET available_seats = available_seats - $1 WHERE id = $2',
-      [seats, event_id]
+    const details = await client.query(
+      `SELECT ${TRANSFER_COLUMNS} FROM booking_transfers t ${TRANSFER_JOINS} WHERE t.id = $1`,
+      [result.rows[0].id]
     );
+    const offer = {
+      ...event,
+      event_id: booking.event_id,
+      seats,
+      sender_name: sender.rows[0].name,
+      link: `${CLIENT_URL}/transfers`,
+      expires_at: details.rows[0].expires_at
+    };
     
-    res.status(201).json(bookingResult.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to create booking' });
-  }
-});
+    if (receiverId) {
+      await queueNotification(client, receiverId, 'booking_transfer_offered', offer);
+    } else {
+      await queueEmail(client, email, 'booking_transfer_offered', offer);
+    }
+    return withLocalTimes(details.rows[0]);
+  }, req.user.id);
+  
+  res.status(201).json(transfer);
+}));
 
-// Get User Bookings with more details
-app.get('/api/bookings', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-    
-    const result = await pool.query(
-      `SELECT b.id, b.seats, b.created_at as booking_date, 
-       e.id as event_id, e.title, e.description, e.date, e.location, 
-       u.name as organizer_name, u.email as organizer_email
-       FROM bookings b 
-       JOIN events e ON b.event_id = e.id
-       JOIN users u ON e.user_id = u.id
-       WHERE b.user_id = $1
-       ORDER BY b.created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [req.user.id, limit, offset]
-    );
-    
-    const countResult = await pool.query(
-      'SELECT COUNT(*) FROM bookings WHERE user_id = $1',
+// Get the User's Booking Transfers: offers made to them and offers they made, newest first
+app.get('/api/transfers', authenticateToken, asyncHandler(async (req, res) => {
+  const [incoming, outgoing] = await Promise.all([
+    pool.query(
+      `SELECT ${TRANSFER_COLUMNS} FROM booking_transfers t ${TRANSFER_JOINS}
+       WHERE ${transferReceiverCondition('$1')}
+       ORDER BY t.created_at DESC, t.id DESC`,
       [req.user.id]
+    ),
+    pool.query(
+      `SELECT ${TRANSFER_COLUMNS} FROM booking_transfers t ${TRANSFER_JOINS}
+       WHERE t.from_user_id = $1
+       ORDER BY t.created_at DESC, t.id DESC`,
+      [req.user.id]
+    )
+  ]);
+  
+  res.json({ incoming: incoming.rows.map(withLocalTimes), outgoing: outgoing.rows.map(withLocalTimes) });
+}));
+
+// Accept a Booking Transfer offered to the user. A whole booking changes hands with a new
+// ticket code, so the sender's ticket stops working; some of its seats become a booking of
+// their own, of the same ticket tier. Seats just move, so the event's seat count stays the same.
+app.post('/api/transfers/:id/accept', authenticateToken, requireVerifiedEmail, validate(schemas.transferById), asyncHandler(async (req, res) => {
+  const outcome = await withTransaction(async (client) => {
+    const offer = await client.query(
+      `SELECT t.booking_id FROM booking_transfers t
+       WHERE t.id = $1 AND ${transferReceiverCondition('$2')} AND t.status = 'pending' AND t.expires_at > NOW()`,
+      [req.params.id, req.user.id]
     );
-    const total = parseInt(countResult.rows[0].count);
+    if (offer.rows.length === 0) {
+      throw createError(404, 'Transfer not found or expired');
+    }
     
-    res.json({
-      bookings: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch bookings' });
-  }
-});
-
-// Update Booking (change number of seats)
-app.put('/api/bookings/:id', authenticateToken, async (req, res) => {
-  try {
-    const { seats } = req.body;
+    // Lock the booking before the transfer, in the same order as cancelling the booking does
+    const current = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [offer.rows[0].booking_id]);
+    const transfer = await client.query(
+      "SELECT * FROM booking_transfers WHERE id = $1 AND status = 'pending' FOR UPDATE",
+      [req.params.id]
+    );
+    if (current.rows.length === 0 || transfer.rows.length === 0) {
+      throw createError(404, 'Transfer not found or expired');
+    }
+    const booking = current.rows[0];
+    const { seats, attendee_ids: attendeeIds, from_user_id: senderId } = transfer.rows[0];
     
-    if (!seats || seats <= 0) {
-      return res.status(400).json({ error: 'Number of seats must be positive' });
+    if (booking.user_id !== senderId || booking.seats < seats) {
+      throw createError(409, 'The booking no longer has the seats offered');
     }
+    if (senderId === req.user.id) {
+      throw createError(422, 'You cannot accept your own transfer');
+    }
+    const event = await checkTransferable(client, booking);
     
-    // Get current booking details
-    const booking = await pool.query(
-      'SELECT * FROM bookings WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
+    const existingBooking = await client.query(
+      `SELECT 1 FROM bookings WHERE event_id = $1 AND user_id = $2
+       UNION ALL
+       SELECT 1 FROM orders WHERE event_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [booking.event_id, req.user.id]
     );
+    if (existingBooking.rows.length > 0) {
+      throw createError(409, 'You have already booked this event');
+    }
     
-    if (booking.rows.length === 0) {
-      return res.status(404).json({ error: 'Booking not found or not authorized' });
+    let received;
+    let kept = null;
+    if (seats === booking.seats) {
+      // Attendees the sender did not pass on are not going
+      await client.query(
+        'DELETE FROM booking_attendees WHERE booking_id = $1 AND NOT (id = ANY($2::int[]))',
+        [booking.id, attendeeIds]
+      );
+      const result = await client.query(
+        'UPDATE bookings SET user_id = $1, ticket_code = DEFAULT WHERE id = $2 RETURNING *',
+        [req.user.id, booking.id]
+      );
+      received = result.rows[0];
+    } else {
+      await checkStayingAttendees(client, booking, seats, attendeeIds);
+      
+      // Moving the seats to a booking of their own is not new booking activity (see migration 025)
+      await client.query("SELECT set_config('app.transferring_seats', 'on', TRUE)");
+      const reduced = await client.query(
+        'UPDATE bookings SET seats = seats - $1 WHERE id = $2 RETURNING *',
+        [seats, booking.id]
+      );
+      kept = reduced.rows[0];
+      
+      const result = await client.query(
+        'INSERT INTO bookings (event_id, user_id, seats, tier_id) VALUES ($1, $2, $3, $4) RETURNING *',
+        [booking.event_id, req.user.id, seats, booking.tier_id]
+      );
+      received = result.rows[0];
+      await client.query("SELECT set_config('app.transferring_seats', '', TRUE)");
+      
+      await client.query(
+        'UPDATE booking_attendees SET booking_id = $1, updated_at = NOW() WHERE booking_id = $2 AND id = ANY($3::int[])',
+        [received.id, booking.id, attendeeIds]
+      );
     }
     
-    const currentSeats = booking.rows[0].seats;
-    const eventId = booking.rows[0].event_id;
-    const seatDifference = seats - currentSeats;
+    // A booking replaces any waitlist entry the user had for this event
+    await client.query(
+      'DELETE FROM waitlist WHERE event_id = $1 AND user_id = $2',
+      [booking.event_id, req.user.id]
+    );
     
-    // Check if there are enough seats available
-    const event = await pool.query(
-      'SELECT available_seats FROM events WHERE id = $1',
-      [eventId]
+    await client.query(
+      `UPDATE booking_transfers SET status = 'accepted', to_user_id = $1, received_booking_id = $2, responded_at = NOW()
+       WHERE id = $3`,
+      [req.user.id, received.id, req.params.id]
     );
     
-    if (event.rows[0].available_seats < seatDifference) {
-      return res.status(400).json({ error: 'Not enough seats available' });
+    const receiver = await client.query('SELECT name FROM users WHERE id = $1', [req.user.id]);
+    await queueNotification(client, senderId, 'booking_transfer_accepted', {
+      ...event,
+      event_id: booking.event_id,
+      seats,
+      seats_left: kept ? kept.seats : 0,
+      receiver_name: receiver.rows[0].name
+    });
+    await notifyBooking(client, 'booking_confirmed', received);
+    
+    if (kept) {
+      await bookingWebhook(client, 'booking.updated', kept);
+      await bookingWebhook(client, 'booking.created', received);
+    } else {
+      await bookingWebhook(client, 'booking.updated', received);
     }
     
-    // Update booking
-    const result = await pool.query(
-      'UPDATE bookings SET seats = $1 WHERE id = $2 RETURNING *',
-      [seats, req.params.id]
+    const details = await client.query(
+      `SELECT ${TRANSFER_COLUMNS} FROM booking_transfers t ${TRANSFER_JOINS} WHERE t.id = $1`,
+      [req.params.id]
+    );
+    return { transfer: withLocalTimes(details.rows[0]), booking: received };
+  }, req.user.id);
+  
+  res.json(outcome);
+}));
+
+// Decline a Booking Transfer offered to the user; the seats stay with the sender
+app.post('/api/transfers/:id/decline', authenticateToken, validate(schemas.transferById), asyncHandler(async (req, res) => {
+  const transfer = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE booking_transfers t SET status = 'declined', to_user_id = $2, responded_at = NOW()
+       WHERE t.id = $1 AND ${transferReceiverCondition('$2')} AND t.status = 'pending' AND t.expires_at > NOW()
+       RETURNING t.id`,
+      [req.params.id, req.user.id]
     );
+    if (result.rows.length === 0) {
+      throw createError(404, 'Transfer not found or expired');
+    }
     
-    // Update available seats
-    await pool.query(
-      'UPDATE events SET available_seats = available_seats - $1 WHERE id = $2',
-      [seatDifference, eventId]
+    const details = await client.query(
+      `SELECT ${TRANSFER_COLUMNS}, r.name as location, u.name as receiver_name
+       FROM booking_transfers t ${TRANSFER_JOINS}
+       JOIN users u ON t.to_user_id = u.id
+       LEFT JOIN rooms r ON e.room_id = r.id
+       WHERE t.id = $1`,
+      [req.params.id]
     );
+    const { location, receiver_name, ...row } = details.rows[0];
     
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to update booking' });
+    await queueNotification(client, row.from_user_id, 'booking_transfer_declined', {
+      event_id: row.event_id,
+      title: row.title,
+      date: row.date,
+      time_zone: row.time_zone,
+      location,
+      seats: row.seats,
+      receiver_name
+    });
+    return withLocalTimes(row);
+  }, req.user.id);
+  
+  res.json(transfer);
+}));
+
+// Cancel a Booking Transfer the user offered, while it is still pending
+app.delete('/api/transfers/:id', authenticateToken, validate(schemas.transferById), asyncHandler(async (req, res) => {
+  const cancelled = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE booking_transfers SET status = 'cancelled', responded_at = NOW()
+       WHERE id = $1 AND from_user_id = $2 AND status = 'pending' AND expires_at > NOW()
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+    return result.rows.length > 0;
+  }, req.user.id);
+  
+  if (!cancelled) {
+    return res.status(404).json({ error: 'Transfer not found or no longer pending' });
   }
-});
+  
+  res.json({ message: 'Transfer cancelled successfully' });
+}));
 
-// Cancel Booking
-app.delete('/api/bookings/:id', authenticateToken, async (req, res) => {
-  try {
-    // Get booking details first
-    const booking = await pool.query(
-      'SELECT * FROM bookings WHERE id = $1 AND user_id = $2',
+// Orders and Payments
+
+// Get User Orders
+app.get('/api/orders', authenticateToken, validate(schemas.listOrders), asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT o.*, e.title, e.date, t.name as tier_name, b.id as booking_id,
+     COUNT(*) OVER() as total
+     FROM orders o
+     LEFT JOIN events e ON o.event_id = e.id
+     LEFT JOIN ticket_tiers t ON o.tier_id = t.id
+     LEFT JOIN bookings b ON b.order_id = o.id
+     WHERE o.user_id = $1
+     ORDER BY o.created_at DESC, o.id DESC
+     LIMIT $2 OFFSET $3`,
+    [req.user.id, limit, offset]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  res.json({
+    orders: result.rows.map(({ total, ...order }) => order),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Get Single Order
+app.get('/api/orders/:id', authenticateToken, validate(schemas.orderById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT o.*, e.title, e.date, t.name as tier_name, b.id as booking_id
+     FROM orders o
+     LEFT JOIN events e ON o.event_id = e.id
+     LEFT JOIN ticket_tiers t ON o.tier_id = t.id
+     LEFT JOIN bookings b ON b.order_id = o.id
+     WHERE o.id = $1 AND o.user_id = $2`,
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Order not found or not authorized' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// Cancel an Order that is still waiting for payment, releasing its seats
+app.delete('/api/orders/:id', authenticateToken, validate(schemas.orderById), asyncHandler(async (req, res) => {
+  const order = await withTransaction(async (client) => {
+    const found = await client.query(
+      'SELECT event_id FROM orders WHERE id = $1 AND user_id = $2',
       [req.params.id, req.user.id]
     );
     
-    if (booking.rows.length === 0) {
-      return res.status(404).json({ error: 'Booking not found or not authorized' });
+    if (found.rows.length === 0) {
+      throw createError(404, 'Order not found or not authorized');
     }
     
-    // Delete booking
-    await pool.query(
-      'DELETE FROM bookings WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
+    // Lock the event before the order, in the same order bookings take their locks
+    await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [found.rows[0].event_id]);
+    const cancelled = await client.query(
+      "UPDATE orders SET status = 'cancelled' WHERE id = $1 AND status = 'pending' RETURNING *",
+      [req.params.id]
     );
     
-    // Return seats to event
-    await pool.query(
-      'UPDATE events SET available_seats = available_seats + $1 WHERE id = $2',
-      [booking.rows[0].seats, booking.rows[0].event_id]
-    );
+    if (cancelled.rows.length === 0) {
+      throw createError(409, 'Only orders waiting for payment can be cancelled');
+    }
     
-    res.json({ message: 'Booking cancelled successfully' });
+    await releaseBookingSeats(client, cancelled.rows[0]);
+    return cancelled.rows[0];
+  }, req.user.id);
+  
+  res.json({ message: 'Order cancelled successfully', order });
+}));
+
+// Payment Provider Webhook, confirming or failing the order a payment belongs to
+app.post('/api/payments/webhook', asyncHandler(async (req, res) => {
+  let notification;
+  try {
+    notification = getPaymentProvider().parseWebhook(req.rawBody, req.headers);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to cancel booking' });
+    return res.status(400).json({ error: 'Invalid webhook' });
+  }
+  
+  // Other kinds of notification are acknowledged and ignored
+  if (['payment.succeeded', 'payment.failed'].includes(notification.type)) {
+    await settlePayment(notification.type, notification.paymentId);
+  }
+  
+  res.json({ received: true });
+}));
+
+// Settle a Mock Payment, standing in for the provider's checkout page in local development
+app.post('/api/payments/mock/:paymentId/:outcome', validate(schemas.mockPayment), asyncHandler(async (req, res) => {
+  if (!mockPaymentsEnabled()) {
+    return res.status(404).json({ error: 'Mock payments are not enabled' });
+  }
+  
+  const type = req.params.outcome === 'succeed' ? 'payment.succeeded' : 'payment.failed';
+  const order = await settlePayment(type, req.params.paymentId);
+  
+  if (!order) {
+    return res.status(404).json({ error: 'Payment not found' });
   }
+  
+  res.json({ order });
+}));
+
+// Tickets and Check-in
+
+// Get Ticket Signing Public Key (for verifying tickets offline at the door)
+app.get('/api/tickets/public-key', (req, res) => {
+  res.json({ algorithm: 'Ed25519', publicKey: publicKeyPem });
 });
 
-// Initialize database tables if they don't exist
-async function initializeDatabase() {
-  try {
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password VARCHAR(100) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create events table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS events (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(100) NOT NULL,
-        description TEXT,
-        date TIMESTAMP NOT NULL,
-        location VARCHAR(100) NOT NULL,
-        available_seats INTEGER NOT NULL,
-        user_id INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create bookings table with unique constraint to prevent duplicate bookings
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS bookings (
-        id SERIAL PRIMARY KEY,
-        event_id INTEGER REFERENCES events(id),
-        user_id INTEGER REFERENCES users(id),
-        seats INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE (event_id, user_id) -- This ensures one booking per user per event
-      )
-    `);
-    
-    console.log('Database tables initialized');
-  } catch (err) {
-    console.error('Database initialization failed:', err);
+// Get Booking Ticket with its signed QR payload
+app.get('/api/bookings/:id/ticket', authenticateToken, validate(schemas.bookingById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT b.id, b.event_id, b.seats, b.ticket_code, b.checked_in_at,
+     e.title, e.date, r.name as location
+     FROM bookings b
+     JOIN events e ON b.event_id = e.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE b.id = $1 AND b.user_id = $2`,
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Booking not found or not authorized' });
   }
-}
+  
+  const booking = result.rows[0];
+  res.json({ ...booking, qr_payload: signTicket(booking) });
+}));
+
+// Check In a Ticket at the door, by signed QR payload or plain ticket code
+app.post('/api/events/:id/check-in', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.checkIn), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user, 'manage_attendees');
+  
+  let ticketCode = req.body.code;
+  if (ticketCode.includes('.')) {
+    const claims = verifyTicket(ticketCode);
+    if (!claims) {
+      return res.status(422).json({ error: 'Ticket signature is not valid' });
+    }
+    if (claims.eventId !== event.id) {
+      return res.status(409).json({ error: 'Ticket is for a different event' });
+    }
+    ticketCode = claims.ticketCode;
+  }
+  
+  // Only the first scan of a ticket succeeds, even when two scanners race
+  const checkedIn = await withTransaction((client) => client.query(
+    `UPDATE bookings b SET checked_in_at = NOW()
+     FROM users u
+     WHERE b.user_id = u.id AND b.ticket_code = $1 AND b.event_id = $2 AND b.checked_in_at IS NULL
+     RETURNING b.id as booking_id, b.seats, b.checked_in_at, u.name, u.email`,
+    [ticketCode, event.id]
+  ), req.user.id);
+  
+  if (checkedIn.rows.length > 0) {
+    return res.json({ message: 'Checked in', ...checkedIn.rows[0] });
+  }
+  
+  const booking = await pool.query(
+    'SELECT event_id, checked_in_at FROM bookings WHERE ticket_code = $1',
+    [ticketCode]
+  );
+  
+  if (booking.rows.length === 0) {
+    return res.status(404).json({ error: 'Unknown ticket' });
+  }
+  if (booking.rows[0].event_id !== event.id) {
+    return res.status(409).json({ error: 'Ticket is for a different event' });
+  }
+  res.status(409).json({
+    error: 'Ticket already checked in',
+    checked_in_at: booking.rows[0].checked_in_at
+  });
+}));
+
+// Get Live Attendance for an event: checked-in vs booked seats
+app.get('/api/events/:id/attendance', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.eventById), asyncHandler(async (req, res) => {
+  const event = await findManagedEvent(req.params.id, req.user, 'view_stats');
+  
+  const result = await pool.query(
+    `SELECT COUNT(*) as bookings,
+     COUNT(*) FILTER (WHERE checked_in_at IS NOT NULL) as checked_in_bookings,
+     COALESCE(SUM(seats), 0) as booked_seats,
+     COALESCE(SUM(seats) FILTER (WHERE checked_in_at IS NOT NULL), 0) as checked_in_seats
+     FROM bookings
+     WHERE event_id = $1`,
+    [event.id]
+  );
+  
+  const counts = result.rows[0];
+  res.json({
+    event,
+    bookings: parseInt(counts.bookings),
+    checkedInBookings: parseInt(counts.checked_in_bookings),
+    bookedSeats: parseInt(counts.booked_seats),
+    checkedInSeats: parseInt(counts.checked_in_seats)
+  });
+}));
+
+// Waitlist Operations
+
+// Get User Waitlist Entries with their current position
+app.get('/api/waitlist', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT w.id, w.seats, w.created_at as joined_at,
+     e.id as event_id, e.title, e.date, r.name as location, e.available_seats,
+     (SELECT COUNT(*) FROM waitlist w2
+      WHERE w2.event_id = w.event_id AND w2.id <= w.id)::int as position
+     FROM waitlist w
+     JOIN events e ON w.event_id = e.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE w.user_id = $1
+     ORDER BY w.created_at DESC`,
+    [req.user.id]
+  );
+  res.json(result.rows);
+}));
+
+// Leave Waitlist
+app.delete('/api/waitlist/:id', authenticateToken, validate(schemas.waitlistById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM waitlist WHERE id = $1 AND user_id = $2 RETURNING *',
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Waitlist entry not found or not authorized' });
+  }
+  
+  res.json({ message: 'Left waitlist successfully' });
+}));
+
+// Webhooks (organizers' endpoints, notified of bookings for and changes to their events)
+
+// Endpoint columns shown to their owner; the signing secret is only shown on creation
+const WEBHOOK_COLUMNS = 'id, url, description, event_types, active, created_at';
+
+// Get Webhook Endpoints
+app.get('/api/webhooks', authenticateToken, requireRole('organizer', 'admin'), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhook_endpoints WHERE user_id = $1 ORDER BY id`,
+    [req.user.id]
+  );
+  res.json(result.rows);
+}));
+
+// Create Webhook Endpoint, answering with the secret that signs its deliveries
+app.post('/api/webhooks', authenticateToken, requireRole('organizer', 'admin'), idempotent, validate(schemas.createWebhook), asyncHandler(async (req, res) => {
+  const { url, description, event_types, active } = req.body;
+  
+  const problem = checkWebhookUrl(url);
+  if (problem) {
+    return res.status(422).json({ error: problem });
+  }
+  
+  const result = await pool.query(
+    `INSERT INTO webhook_endpoints (user_id, url, description, event_types, active, secret)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${WEBHOOK_COLUMNS}, secret`,
+    [req.user.id, url, description, [...new Set(event_types)], active, crypto.randomBytes(32).toString('hex')]
+  );
+  
+  res.status(201).json(result.rows[0]);
+}));
+
+// Update Webhook Endpoint (its secret stays the same)
+app.put('/api/webhooks/:id', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.updateWebhook), asyncHandler(async (req, res) => {
+  const { url, description, event_types, active } = req.body;
+  
+  const problem = checkWebhookUrl(url);
+  if (problem) {
+    return res.status(422).json({ error: problem });
+  }
+  
+  const result = await pool.query(
+    `UPDATE webhook_endpoints SET url = $1, description = $2, event_types = $3, active = $4
+     WHERE id = $5 AND user_id = $6
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    [url, description, [...new Set(event_types)], active, req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Webhook not found or not authorized' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// Delete Webhook Endpoint, with its delivery log
+app.delete('/api/webhooks/:id', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.webhookById), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM webhook_endpoints WHERE id = $1 AND user_id = $2 RETURNING id',
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Webhook not found or not authorized' });
+  }
+  
+  res.json({ message: 'Webhook deleted successfully' });
+}));
+
+// Send a Test Ping to a Webhook Endpoint right away (even an inactive one), answering with the attempt
+app.post('/api/webhooks/:id/ping', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.webhookById), asyncHandler(async (req, res) => {
+  const delivery = await pool.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_type, payload)
+     SELECT id, 'ping', jsonb_build_object('webhook_id', id) FROM webhook_endpoints
+     WHERE id = $1 AND user_id = $2
+     RETURNING id`,
+    [req.params.id, req.user.id]
+  );
+  
+  if (delivery.rows.length === 0) {
+    return res.status(404).json({ error: 'Webhook not found or not authorized' });
+  }
+  
+  // A ping is not retried
+  const attempt = await deliverNow(delivery.rows[0].id, { retry: false });
+  res.json({ delivered: !attempt.error, delivery_id: delivery.rows[0].id, attempt });
+}));
+
+// Get Webhook Deliveries of an endpoint, newest first, each with its attempts
+app.get('/api/webhooks/:id/deliveries', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.listWebhookDeliveries), asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const endpoint = await pool.query(
+    'SELECT id FROM webhook_endpoints WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+  
+  if (endpoint.rows.length === 0) {
+    return res.status(404).json({ error: 'Webhook not found or not authorized' });
+  }
+  
+  const result = await pool.query(
+    `SELECT d.*, COUNT(*) OVER() as total,
+     COALESCE(
+       (SELECT json_agg(a ORDER BY a.id) FROM webhook_delivery_attempts a WHERE a.delivery_id = d.id),
+       '[]'
+     ) as attempt_log
+     FROM webhook_deliveries d
+     WHERE d.endpoint_id = $1 AND ($2::text IS NULL OR d.status = $2)
+     ORDER BY d.id DESC
+     LIMIT $3 OFFSET $4`,
+    [req.params.id, status || null, limit, offset]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  res.json({
+    deliveries: result.rows.map(({ total, ...delivery }) => delivery),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Redeliver a Webhook Delivery right away; if it fails again its retries start over
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, requireRole('organizer', 'admin'), validate(schemas.webhookDeliveryById), asyncHandler(async (req, res) => {
+  const delivery = await pool.query(
+    `SELECT d.id FROM webhook_deliveries d
+     JOIN webhook_endpoints w ON d.endpoint_id = w.id
+     WHERE d.id = $1 AND w.id = $2 AND w.user_id = $3`,
+    [req.params.deliveryId, req.params.id, req.user.id]
+  );
+  
+  if (delivery.rows.length === 0) {
+    return res.status(404).json({ error: 'Webhook delivery not found or not authorized' });
+  }
+  
+  const attempt = await deliverNow(delivery.rows[0].id);
+  res.json({ delivered: !attempt.error, delivery_id: delivery.rows[0].id, attempt });
+}));
+
+// Audit Log
+
+// Get Audit Log entries, newest first. Admins see every entry; other users see the entries
+// about their account, rooms, events and bookings, and about the events they co-organize
+// and the bookings for all of these events.
+app.get('/api/audit-log', authenticateToken, validate(schemas.listAuditLog), asyncHandler(async (req, res) => {
+  const { entity_type, entity_id, event_id, actor_id, from, to, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT a.*, u.name as actor_name, COUNT(*) OVER() as total
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     WHERE (
+       $1 OR a.owner_id = $2
+       OR a.event_id IN (SELECT id FROM events WHERE user_id = $2)
+       OR a.event_id IN (SELECT event_id FROM event_organizers WHERE user_id = $2 AND accepted_at IS NOT NULL)
+     )
+     AND ($3::text IS NULL OR a.entity_type = $3)
+     AND ($4::int IS NULL OR a.entity_id = $4)
+     AND ($5::int IS NULL OR a.event_id = $5)
+     AND ($6::int IS NULL OR a.actor_id = $6)
+     AND ($7::timestamptz IS NULL OR a.created_at >= $7)
+     AND ($8::timestamptz IS NULL OR a.created_at < $8)
+     ORDER BY a.id DESC
+     LIMIT $9 OFFSET $10`,
+    [
+      req.user.role === 'admin', req.user.id, entity_type || null, entity_id || null,
+      event_id || null, actor_id || null, from || null, to || null, limit, offset
+    ]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  res.json({
+    entries: result.rows.map(({ total, ...entry }) => entry),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Admin Operations (system-wide management, admins only)
+
+// List Users
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), validate(schemas.adminListUsers), asyncHandler(async (req, res) => {
+  const { role, q, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT id, name, email, role, created_at, deleted_at, COUNT(*) OVER() as total
+     FROM users
+     WHERE ($1::text IS NULL OR role = $1)
+     AND ($2::text IS NULL OR name ILIKE '%' || $2 || '%' OR email ILIKE '%' || $2 || '%')
+     ORDER BY id
+     LIMIT $3 OFFSET $4`,
+    [role || null, q || null, limit, offset]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  const users = await Promise.all(result.rows.map(async ({ total, ...user }) => ({
+    ...user,
+    locked_until: await getLoginLock(user.email)
+  })));
+  
+  res.json({
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Change User Role (their access tokens are rejected so the next refresh carries the new role)
+app.put('/api/admin/users/:id', authenticateToken, requireRole('admin'), validate(schemas.adminUpdateUser), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  
+  const result = await withTransaction((client) => client.query(
+    `UPDATE users SET role = $1, token_version = token_version + 1
+     WHERE id = $2 AND deleted_at IS NULL
+     RETURNING id, name, email, role, created_at`,
+    [role, req.params.id]
+  ), req.user.id);
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// Log Out All Sessions of a User
+app.post('/api/admin/users/:id/logout', authenticateToken, requireRole('admin'), validate(schemas.adminUserById), asyncHandler(async (req, res) => {
+  const user = await withTransaction((client) => revokeAllSessions(client, req.params.id));
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  res.json({ message: 'All sessions of the user logged out successfully' });
+}));
+
+// Unlock a User's Account locked by failed logins
+app.post('/api/admin/users/:id/unlock', authenticateToken, requireRole('admin'), validate(schemas.adminUserById), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT email FROM users WHERE id = $1', [req.params.id]);
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  await clearFailedLogins(result.rows[0].email);
+  
+  res.json({ message: 'Account unlocked successfully' });
+}));
+
+// List All Events, including drafts and deleted events
+app.get('/api/admin/events', authenticateToken, requireRole('admin'), validate(schemas.adminListEvents), asyncHandler(async (req, res) => {
+  const { organizer_id, status, deleted, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT e.*, r.name as location, u.name as organizer_name, u.email as organizer_email,
+     COUNT(*) OVER() as total
+     FROM events e
+     JOIN users u ON e.user_id = u.id
+     LEFT JOIN rooms r ON e.room_id = r.id
+     WHERE ($1::int IS NULL OR e.user_id = $1)
+     AND ($2::text IS NULL OR e.status = $2)
+     AND ($3::boolean IS NULL OR (e.deleted_at IS NOT NULL) = $3)
+     ORDER BY e.date DESC, e.id DESC
+     LIMIT $4 OFFSET $5`,
+    [organizer_id || null, status || null, deleted === undefined ? null : deleted, limit, offset]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  res.json({
+    events: result.rows.map(({ total, ...event }) => withLocalTimes(event)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Update Any Event (room rules still apply to the organizer's rooms)
+app.put('/api/admin/events/:id', authenticateToken, requireRole('admin'), validate(schemas.updateEvent), asyncHandler(async (req, res) => {
+  const event = await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, null);
+    
+    if (!EDITABLE_STATUSES.includes(current.status)) {
+      throw createError(409, `A ${current.status} event cannot be edited`);
+    }
+    
+    return updateEvent(client, req.params.id, current.user_id, req.body);
+  }, req.user.id);
+  
+  res.json(event);
+}));
+
+// Delete Any Event (a soft delete, as for organizers)
+app.delete('/api/admin/events/:id', authenticateToken, requireRole('admin'), validate(schemas.eventById), asyncHandler(async (req, res) => {
+  await withTransaction(async (client) => {
+    const current = await lockOwnedEvent(client, req.params.id, null);
+    await deleteEvent(client, current.id);
+    if (current.series_id) {
+      await refreshSeries(client, current.series_id);
+    }
+  }, req.user.id);
+  
+  res.json({ message: 'Event deleted and its bookings cancelled successfully' });
+}));
+
+// List All Bookings
+app.get('/api/admin/bookings', authenticateToken, requireRole('admin'), validate(schemas.adminListBookings), asyncHandler(async (req, res) => {
+  const { event_id, user_id, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+  
+  const result = await pool.query(
+    `SELECT b.id, b.seats, b.created_at as booking_date,
+     b.user_id, u.name as user_name, u.email as user_email,
+     e.id as event_id, e.title, e.date,
+     COUNT(*) OVER() as total
+     FROM bookings b
+     JOIN users u ON b.user_id = u.id
+     JOIN events e ON b.event_id = e.id
+     WHERE ($1::int IS NULL OR b.event_id = $1)
+     AND ($2::int IS NULL OR b.user_id = $2)
+     ORDER BY b.created_at DESC, b.id DESC
+     LIMIT $3 OFFSET $4`,
+    [event_id || null, user_id || null, limit, offset]
+  );
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+  
+  res.json({
+    bookings: result.rows.map(({ total, ...booking }) => booking),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Cancel Any Booking
+app.delete('/api/admin/bookings/:id', authenticateToken, requireRole('admin'), validate(schemas.bookingById), asyncHandler(async (req, res) => {
+  const refund = await withTransaction(async (client) => {
+    const booking = await client.query(
+      'DELETE FROM bookings WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+    
+    if (booking.rows.length === 0) {
+      throw createError(404, 'Booking not found');
+    }
+    
+    return cancelBooking(client, booking.rows[0]);
+  }, req.user.id);
+  
+  res.json({ message: 'Booking cancelled successfully', refund });
+}));
+
+app.use(errorHandler);
 
-// Start server
+// Start server once the database schema is current
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  initializeDatabase();
+
+async function startServer() {
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    const versions = pending.map((m) => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Database has pending migrations (${versions}); run "npm run migrate" first`);
+  }
+  
+  // Appoint the bootstrap admin, so there is someone to appoint the others
+  if (process.env.ADMIN_EMAIL) {
+    await pool.query(
+      "UPDATE users SET role = 'admin' WHERE email = $1",
+      [process.env.ADMIN_EMAIL]
+    );
+  }
+  
+  setInterval(() => {
+    expireAllOrders().catch((err) => console.error('Expiring orders failed:', err.message));
+  }, 60 * 1000);
+  
+  setInterval(() => {
+    deleteExpiredIdempotencyKeys().catch((err) => console.error('Clearing idempotency keys failed:', err.message));
+  }, 60 * 60 * 1000);
+  
+  // Email sending can run in a separate process instead (node notifications.js)
+  if (process.env.NOTIFICATION_WORKER !== 'false') {
+    startNotificationWorker();
+  }
+  
+  // Likewise webhook deliveries (node webhooks.js)
+  if (process.env.WEBHOOK_WORKER !== 'false') {
+    startWebhookWorker();
+  }
+  
+  // And refunds (node refunds.js)
+  if (process.env.REFUND_WORKER !== 'false') {
+    startRefundWorker();
+  }
+  
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+startServer().catch((err) => {
+  console.error('Server failed to start:', err.message);
+  process.exit(1);
 });
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { pool, startServer, api, createUser, createEvent } = require('./helpers');
+
+// Many people booking the last seats of an event at the same moment: the event row lock
+// must let exactly as many bookings through as there are seats, and turn the rest away.
+
+const SEATS = 5;
+const REQUESTS = 40;
+
+let stopServer;
+
+before(async () => {
+  stopServer = await startServer();
+});
+
+after(async () => {
+  await stopServer();
+  await pool.end();
+});
+
+// Helper function to count the responses with each status
+const countStatuses = (responses) => responses.reduce((counts, { status }) => {
+  counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}, {});
+
+test('parallel bookings never take more seats than the event has', async () => {
+  const organizer = await createUser('organizer');
+  const event = await createEvent(organizer, SEATS);
+  const attendees = await Promise.all(Array.from({ length: REQUESTS }, () => createUser()));
+  
+  const responses = await Promise.all(attendees.map((attendee) => api('POST', '/bookings', {
+    token: attendee.token,
+    body: { event_id: event.id, seats: 1 }
+  })));
+  
+  assert.deepStrictEqual(countStatuses(responses), { 201: SEATS, 409: REQUESTS - SEATS });
+  
+  const booked = await pool.query('SELECT COALESCE(SUM(seats), 0)::int as seats FROM bookings WHERE event_id = $1', [event.id]);
+  assert.strictEqual(booked.rows[0].seats, SEATS);
+  
+  const current = await api('GET', `/events/${event.id}`, { token: organizer.token });
+  assert.strictEqual(current.body.available_seats, 0);
+});
+
+test('parallel bookings asking for several seats fill the event without overbooking it', async () => {
+  const organizer = await createUser('organizer');
+  const event = await createEvent(organizer, SEATS);
+  const attendees = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+  
+  const responses = await Promise.all(attendees.map((attendee) => api('POST', '/bookings', {
+    token: attendee.token,
+    body: { event_id: event.id, seats: 2 }
+  })));
+  
+  // Two bookings of two seats fit; the last seat is too few for anyone else
+  assert.deepStrictEqual(countStatuses(responses), { 201: 2, 409: 8 });
+  
+  const current = await api('GET', `/events/${event.id}`, { token: organizer.token });
+  assert.strictEqual(current.body.available_seats, SEATS - 4);
+});
+
+test('one user booking the same event many times at once gets one booking', async () => {
+  const organizer = await createUser('organizer');
+  const event = await createEvent(organizer, SEATS);
+  const attendee = await createUser();
+  
+  const responses = await Promise.all(Array.from({ length: 10 }, () => api('POST', '/bookings', {
+    token: attendee.token,
+    body: { event_id: event.id, seats: 1 }
+  })));
+  
+  assert.strictEqual(responses.filter(({ status }) => status === 201).length, 1);
+  
+  const booked = await pool.query('SELECT COUNT(*)::int as count FROM bookings WHERE event_id = $1', [event.id]);
+  assert.strictEqual(booked.rows[0].count, 1);
+});
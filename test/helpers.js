@@ -0,0 +1,117 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { pool } = require('../db');
+const { migrate } = require('../migrate');
+
+// Test helpers. The tests run against a real server and database: the DB_* settings (from
+// the environment or .env) must name a Postgres database the tests may write to. The server
+// is started on TEST_PORT (3999 by default) with its background workers off and the request
+// limits raised, so tests can create as many accounts and bookings as they need.
+
+const PORT = parseInt(process.env.TEST_PORT) || 3999;
+const BASE_URL = `http://localhost:${PORT}/api`;
+const PASSWORD = 'Passw0rd!';
+
+let userCount = 0;
+
+// Start the server in a child process once the schema is current. Resolves, once it
+// listens, to a function that stops it.
+const startServer = async (env = {}) => {
+  await migrate();
+  
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      NOTIFICATION_WORKER: 'false',
+      WEBHOOK_WORKER: 'false',
+      REFUND_WORKER: 'false',
+      REQUIRE_EMAIL_VERIFICATION: 'false',
+      RATE_LIMIT_STORE: 'memory',
+      RATE_LIMIT_REGISTER_IP: '10000/1h',
+      RATE_LIMIT_LOGIN_IP: '10000/15m',
+      RATE_LIMIT_BOOKINGS_IP: '10000/1m',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+  });
+  
+  return () => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.once('exit', resolve);
+    child.kill();
+  });
+};
+
+// Call the API, resolving to { status, body, headers }
+const api = async (method, route, { body, token, headers = {} } = {}) => {
+  const response = await fetch(`${BASE_URL}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    parsed = text;
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+};
+
+// Register a user with a unique email, give them a role other than attendee straight in
+// the database, and log them in. Resolves to { id, email, token }.
+const createUser = async (role = 'attendee') => {
+  userCount++;
+  const email = `test-${process.pid}-${Date.now()}-${userCount}@example.com`;
+  
+  const registered = await api('POST', '/register', { body: { name: `Test user ${userCount}`, email, password: PASSWORD } });
+  if (registered.status !== 201) {
+    throw new Error(`Registering ${email} failed with ${registered.status}: ${JSON.stringify(registered.body)}`);
+  }
+  if (role !== 'attendee') {
+    await pool.query('UPDATE users SET role = $1 WHERE email = $2', [role, email]);
+  }
+  
+  const login = await api('POST', '/login', { body: { email, password: PASSWORD } });
+  return { id: login.body.user.id, email, token: login.body.token };
+};
+
+// Create a published event with the given number of seats in a new room of the organizer's
+const createEvent = async (organizer, seats) => {
+  const room = await api('POST', '/rooms', {
+    token: organizer.token,
+    body: { name: `Room ${Date.now()}-${userCount}`, capacity: seats }
+  });
+  const event = await api('POST', '/events', {
+    token: organizer.token,
+    body: {
+      title: 'Test event',
+      date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      room_id: room.body.id,
+      available_seats: seats
+    }
+  });
+  if (event.status !== 201) {
+    throw new Error(`Creating the event failed with ${event.status}: ${JSON.stringify(event.body)}`);
+  }
+  return event.body;
+};
+
+module.exports = { pool, startServer, api, createUser, createEvent };
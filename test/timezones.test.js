@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toInstant, formatLocal } = require('../timezones');
+const { expandRecurrence } = require('../recurrence');
+
+// Wall-clock times around daylight saving changes, which need no server. In Berlin in
+// 2027 clocks go forward from 02:00 to 03:00 on March 28 and back from 03:00 to 02:00
+// on October 31.
+
+const TIME_ZONE = 'Europe/Berlin';
+
+test('a time skipped when clocks go forward is moved forward by the gap', () => {
+  const instant = toInstant('2027-03-28T02:30', TIME_ZONE);
+  
+  assert.strictEqual(instant.toISOString(), '2027-03-28T01:30:00.000Z');
+  assert.strictEqual(formatLocal(instant, TIME_ZONE), '2027-03-28T03:30:00+02:00');
+});
+
+test('a time repeated when clocks go back is taken at its first occurrence', () => {
+  const instant = toInstant('2027-10-31T02:30', TIME_ZONE);
+  
+  assert.strictEqual(instant.toISOString(), '2027-10-31T00:30:00.000Z');
+  assert.strictEqual(formatLocal(instant, TIME_ZONE), '2027-10-31T02:30:00+02:00');
+});
+
+test('times on either side of a change keep their offsets', () => {
+  assert.strictEqual(toInstant('2027-03-28T01:59', TIME_ZONE).toISOString(), '2027-03-28T00:59:00.000Z');
+  assert.strictEqual(toInstant('2027-03-28T03:00', TIME_ZONE).toISOString(), '2027-03-28T01:00:00.000Z');
+  assert.strictEqual(toInstant('2027-10-31T03:00', TIME_ZONE).toISOString(), '2027-10-31T02:00:00.000Z');
+});
+
+test('a series keeps its local time across daylight saving changes', () => {
+  const spring = expandRecurrence({
+    start: toInstant('2027-03-21T10:00', TIME_ZONE),
+    frequency: 'weekly',
+    count: 3,
+    timeZone: TIME_ZONE
+  });
+  assert.deepStrictEqual(spring.map((date) => formatLocal(date, TIME_ZONE)), [
+    '2027-03-21T10:00:00+01:00',
+    '2027-03-28T10:00:00+02:00',
+    '2027-04-04T10:00:00+02:00'
+  ]);
+  
+  const autumn = expandRecurrence({
+    start: toInstant('2027-10-24T10:00', TIME_ZONE),
+    frequency: 'weekly',
+    count: 2,
+    timeZone: TIME_ZONE
+  });
+  assert.deepStrictEqual(autumn.map((date) => date.toISOString()), [
+    '2027-10-24T08:00:00.000Z',
+    '2027-10-31T09:00:00.000Z'
+  ]);
+});
+
+test('a daily series moves only the occurrence that falls in the gap', () => {
+  const occurrences = expandRecurrence({
+    start: toInstant('2027-03-27T02:30', TIME_ZONE),
+    frequency: 'daily',
+    count: 3,
+    timeZone: TIME_ZONE
+  });
+  
+  assert.deepStrictEqual(occurrences.map((date) => formatLocal(date, TIME_ZONE)), [
+    '2027-03-27T02:30:00+01:00',
+    '2027-03-28T03:30:00+02:00',
+    '2027-03-29T02:30:00+02:00'
+  ]);
+});
@@ -0,0 +1,168 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { pool, startServer, api, createUser, createEvent } = require('./helpers');
+const { processWebhooks } = require('../webhooks');
+
+// Webhook deliveries to a receiver run by the test: signed bodies, retries with backoff
+// after a failed answer, and the redeliveries and pings organizers send by hand. The
+// server's worker is off, so the test sends due deliveries itself with processWebhooks().
+
+let stopServer;
+let receiver;
+let receiverUrl;
+let organizer;
+let event;
+
+// What the receiver got, and the status it answers with
+const received = [];
+let answerStatus = 200;
+
+before(async () => {
+  stopServer = await startServer();
+  
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(answerStatus, { 'Content-Type': 'text/plain' });
+      res.end(answerStatus < 300 ? 'ok' : 'receiver failed');
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  
+  organizer = await createUser('organizer');
+  event = await createEvent(organizer, 50);
+});
+
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await stopServer();
+  await pool.end();
+});
+
+// Helper function to create an endpoint at the receiver, answering with it and its secret
+const createWebhook = async (eventTypes = ['booking.created']) => {
+  const webhook = await api('POST', '/webhooks', {
+    token: organizer.token,
+    body: { url: receiverUrl, event_types: eventTypes }
+  });
+  assert.strictEqual(webhook.status, 201);
+  return webhook.body;
+};
+
+// Helper function to book the event as a new attendee, queueing a booking.created delivery
+const bookEvent = async () => {
+  const attendee = await createUser();
+  const booking = await api('POST', '/bookings', { token: attendee.token, body: { event_id: event.id, seats: 1 } });
+  assert.strictEqual(booking.status, 201);
+  return booking.body;
+};
+
+// Helper function to read a delivery of an endpoint, with the seconds until its next attempt
+const getDelivery = async (webhookId) => {
+  const result = await pool.query(
+    `SELECT *, EXTRACT(EPOCH FROM (next_attempt_at - NOW()))::float as next_attempt_in
+     FROM webhook_deliveries WHERE endpoint_id = $1 ORDER BY id DESC LIMIT 1`,
+    [webhookId]
+  );
+  return result.rows[0];
+};
+
+// Helper function to check a delivery's X-Webhook-Signature against the endpoint's secret
+const verifySignature = (secret, { headers, body }) => {
+  const { t, v1 } = Object.fromEntries(headers['x-webhook-signature'].split(',').map((part) => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+test('a delivery is signed with the endpoint secret', async () => {
+  answerStatus = 200;
+  received.length = 0;
+  const webhook = await createWebhook();
+  const booking = await bookEvent();
+  
+  await processWebhooks();
+  
+  const delivery = await getDelivery(webhook.id);
+  const request = received.find(({ headers }) => headers['x-webhook-id'] === String(delivery.id));
+  assert.ok(request, 'the receiver got the delivery');
+  assert.strictEqual(request.headers['x-webhook-event'], 'booking.created');
+  assert.ok(verifySignature(webhook.secret, request), 'the signature verifies');
+  assert.ok(!verifySignature('another secret', request), 'another secret does not verify');
+  
+  const body = JSON.parse(request.body);
+  assert.strictEqual(body.type, 'booking.created');
+  assert.strictEqual(body.data.booking.id, booking.id);
+  assert.strictEqual(delivery.status, 'delivered');
+  
+  await api('DELETE', `/webhooks/${webhook.id}`, { token: organizer.token });
+});
+
+test('a failed answer reschedules the delivery with backoff, and redelivering sends it again', async () => {
+  answerStatus = 500;
+  const webhook = await createWebhook();
+  await bookEvent();
+  
+  await processWebhooks();
+  
+  let delivery = await getDelivery(webhook.id);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.attempts, 1);
+  assert.match(delivery.last_error, /500/);
+  assert.ok(delivery.next_attempt_in > 50 && delivery.next_attempt_in <= 60, `retried in a minute, not ${delivery.next_attempt_in}s`);
+  
+  // Once due again, a second failure waits twice as long
+  await pool.query('UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1', [delivery.id]);
+  await processWebhooks();
+  
+  delivery = await getDelivery(webhook.id);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.ok(delivery.next_attempt_in > 110 && delivery.next_attempt_in <= 120, `retried in two minutes, not ${delivery.next_attempt_in}s`);
+  
+  answerStatus = 200;
+  const redelivered = await api('POST', `/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`, { token: organizer.token });
+  assert.strictEqual(redelivered.status, 200);
+  assert.strictEqual(redelivered.body.delivered, true);
+  assert.strictEqual(redelivered.body.attempt.response_status, 200);
+  
+  const deliveries = await api('GET', `/webhooks/${webhook.id}/deliveries`, { token: organizer.token });
+  const [logged] = deliveries.body.deliveries;
+  assert.strictEqual(logged.status, 'delivered');
+  assert.deepStrictEqual(logged.attempt_log.map(({ response_status }) => response_status), [500, 500, 200]);
+  
+  await api('DELETE', `/webhooks/${webhook.id}`, { token: organizer.token });
+});
+
+test('a ping is sent at once and logged with its attempt', async () => {
+  answerStatus = 200;
+  received.length = 0;
+  const webhook = await createWebhook();
+  
+  const ping = await api('POST', `/webhooks/${webhook.id}/ping`, { token: organizer.token });
+  assert.strictEqual(ping.status, 200);
+  assert.strictEqual(ping.body.delivered, true);
+  
+  const request = received.find(({ headers }) => headers['x-webhook-id'] === String(ping.body.delivery_id));
+  assert.strictEqual(request.headers['x-webhook-event'], 'ping');
+  assert.ok(verifySignature(webhook.secret, request));
+  
+  // A failed ping is logged too, and not retried
+  answerStatus = 500;
+  const failed = await api('POST', `/webhooks/${webhook.id}/ping`, { token: organizer.token });
+  assert.strictEqual(failed.body.delivered, false);
+  
+  const deliveries = await api('GET', `/webhooks/${webhook.id}/deliveries`, { token: organizer.token });
+  assert.deepStrictEqual(
+    deliveries.body.deliveries.map(({ event_type, status, attempt_log }) => [event_type, status, attempt_log.length]),
+    [['ping', 'failed', 1], ['ping', 'delivered', 1]]
+  );
+  
+  await api('DELETE', `/webhooks/${webhook.id}`, { token: organizer.token });
+});
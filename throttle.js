@@ -0,0 +1,146 @@
+const { pool } = require('./db');
+
+// Fixed-window rate limiting. Each limiter counts requests per key (the client IP
+// unless it keys on something else, such as the account) in the store named by
+// RATE_LIMIT_STORE: memory, the default, counts in this process only, while
+// postgres shares the counts between server instances through the rate_limits table.
+//
+// A limiter named login_ip can be changed with RATE_LIMIT_LOGIN_IP=<max>/<window>,
+// the window in seconds, minutes or hours (e.g. 50/15m).
+
+const STORES = {
+  memory: () => {
+    const hits = new Map();
+    
+    // Forget finished windows now and then so the map does not grow forever
+    const cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+    }, 60 * 1000);
+    cleanup.unref();
+    
+    return {
+      hit: async (key, windowMs) => {
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+          entry = { count: 0, resetAt: now + windowMs };
+          hits.set(key, entry);
+        }
+        entry.count++;
+        return { count: entry.count, resetAt: entry.resetAt };
+      },
+      
+      get: async (key) => {
+        const entry = hits.get(key);
+        return entry && entry.resetAt > Date.now() ? { count: entry.count, resetAt: entry.resetAt } : null;
+      },
+      
+      reset: async (key) => {
+        hits.delete(key);
+      }
+    };
+  },
+  
+  postgres: () => {
+    const cleanup = setInterval(() => {
+      pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW()')
+        .catch((err) => console.error('Clearing rate limits failed:', err.message));
+    }, 60 * 1000);
+    cleanup.unref();
+    
+    return {
+      hit: async (key, windowMs) => {
+        const result = await pool.query(
+          `INSERT INTO rate_limits (key, count, reset_at)
+           VALUES ($1, 1, NOW() + make_interval(secs => $2 / 1000.0))
+           ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+           RETURNING count, reset_at`,
+          [key, windowMs]
+        );
+        return { count: result.rows[0].count, resetAt: result.rows[0].reset_at.getTime() };
+      },
+      
+      get: async (key) => {
+        const result = await pool.query('SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()', [key]);
+        return result.rows[0] ? { count: result.rows[0].count, resetAt: result.rows[0].reset_at.getTime() } : null;
+      },
+      
+      reset: async (key) => {
+        await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+      }
+    };
+  }
+};
+
+let store;
+
+// Get the configured store, created on first use
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`Unknown rate limit store ${name}; use one of ${Object.keys(STORES).join(', ')}`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Helper function to read a limiter's override from the environment, if there is one
+const limitFromEnv = (name) => {
+  const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (!value) return null;
+  
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like 20/15m`);
+  }
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * WINDOW_UNITS[match[3]] };
+};
+
+// Middleware allowing each key at most max requests per windowMs. key picks what is
+// counted, and requests it returns nothing for are not limited. Past the limit the
+// answer is a 429 with Retry-After; every answer carries RateLimit-* headers.
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+  ({ windowMs, max } = limitFromEnv(name) || { windowMs, max });
+  
+  return (req, res, next) => {
+    const value = key(req);
+    if (value === undefined || value === null || value === '') return next();
+    
+    getStore().hit(`${name}:${value}`, windowMs).then(({ count, resetAt }) => {
+      const secondsLeft = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(max - count, 0)),
+        'RateLimit-Reset': String(secondsLeft)
+      });
+      
+      if (count > max) {
+        res.set('Retry-After', String(secondsLeft));
+        return res.status(429).json({ error: message });
+      }
+      next();
+    }, (err) => {
+      // An unavailable store lets requests through rather than failing them all
+      console.error(`Rate limit ${name} failed:`, err.message);
+      next();
+    });
+  };
+};
+
+// Counters kept in the same store for things other than requests, such as failed logins:
+// countHit() counts one for key in a window starting at its first hit, getCount() reads
+// the count and its resetAt (null once the window is over) and resetCount() forgets it
+const countHit = (key, windowMs) => getStore().hit(key, windowMs);
+const getCount = (key) => getStore().get(key);
+const resetCount = (key) => getStore().reset(key);
+
+module.exports = { rateLimit, countHit, getCount, resetCount };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Tickets are signed with Ed25519 so door scanners can verify them offline
+// with just the public key. The key comes from TICKET_SIGNING_KEY (a PEM
+// private key) or is derived from JWT_SECRET so it survives restarts.
+
+// DER prefix that wraps a raw 32-byte Ed25519 seed as a PKCS#8 private key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const loadPrivateKey = () => {
+  if (process.env.TICKET_SIGNING_KEY) {
+    return crypto.createPrivateKey(process.env.TICKET_SIGNING_KEY);
+  }
+  
+  const seed = crypto.createHash('sha256').update(`ticket-signing:${process.env.JWT_SECRET}`).digest();
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+};
+
+const privateKey = loadPrivateKey();
+const publicKey = crypto.createPublicKey(privateKey);
+
+const PAYLOAD_VERSION = 'T1';
+
+// Build the QR payload for a booking: version, claims and signature
+const signTicket = (booking) => {
+  const claims = Buffer.from(JSON.stringify({
+    c: booking.ticket_code,
+    b: booking.id,
+    e: booking.event_id,
+    s: booking.seats
+  })).toString('base64url');
+  
+  const signature = crypto.sign(null, Buffer.from(`${PAYLOAD_VERSION}.${claims}`), privateKey);
+  return `${PAYLOAD_VERSION}.${claims}.${signature.toString('base64url')}`;
+};
+
+// Check a QR payload's signature, returning its claims or null if it is not genuine
+const verifyTicket = (payload) => {
+  const [version, claims, signature] = String(payload).split('.');
+  if (version !== PAYLOAD_VERSION || !claims || !signature) return null;
+  
+  try {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${version}.${claims}`),
+      publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+    if (!valid) return null;
+    
+    const { c, b, e, s } = JSON.parse(Buffer.from(claims, 'base64url').toString());
+    return { ticketCode: c, bookingId: b, eventId: e, seats: s };
+  } catch (err) {
+    return null;
+  }
+};
+
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+module.exports = { signTicket, verifyTicket, publicKeyPem };
@@ -0,0 +1,120 @@
+// Event time zones. Event times are stored as instants, together with the IANA time
+// zone the event takes place in. Times sent without a UTC offset or Z (such as
+// 2027-03-28T10:00) are wall-clock times in the event's time zone, and responses give
+// each time both in UTC and as local time with its offset.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+// Helper function to get a formatter giving the wall-clock fields of a time zone
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// The canonical name of a time zone (Europe/Berlin for europe/berlin), or null if it is unknown
+const canonicalTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+};
+
+const isValidTimeZone = (timeZone) => canonicalTimeZone(timeZone) !== null;
+
+// The wall-clock time of an instant in a time zone, as a Date whose UTC fields hold it
+const toWallClock = (date, timeZone) => {
+  const fields = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    fields[type] = parseInt(value);
+  }
+  return new Date(Date.UTC(
+    fields.year, fields.month - 1, fields.day,
+    fields.hour, fields.minute, fields.second, date.getUTCMilliseconds()
+  ));
+};
+
+// Offset of a time zone from UTC at an instant, in minutes
+const offsetMinutes = (date, timeZone) => Math.round((toWallClock(date, timeZone) - date) / 60000);
+
+// The instant a wall-clock time (a Date whose UTC fields hold it) happens in a time zone.
+// Times skipped when clocks go forward are moved forward by the gap; times repeated when
+// they go back are taken at their first occurrence.
+const fromWallClock = (wallClock, timeZone) => {
+  const day = 24 * 60 * 60 * 1000;
+  const candidates = [
+    offsetMinutes(new Date(wallClock.getTime() - day), timeZone),
+    offsetMinutes(new Date(wallClock.getTime() + day), timeZone)
+  ].map((offset) => new Date(wallClock.getTime() - offset * 60000));
+  
+  const matching = candidates.filter((instant) => toWallClock(instant, timeZone).getTime() === wallClock.getTime());
+  return matching.length > 0 ? new Date(Math.min(...matching)) : candidates[0];
+};
+
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// The instant a time sent by a client stands for: times with an offset or Z are taken
+// as they are, others as wall-clock times in the time zone
+const toInstant = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  if (value instanceof Date) return value;
+  
+  const match = LOCAL_TIME.exec(value);
+  if (!match) return new Date(value);
+  
+  const [, year, month, day, hour = 0, minute = 0, second = 0, millis = '0'] = match;
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second, parseInt(millis.padEnd(3, '0'))));
+  return fromWallClock(wallClock, timeZone);
+};
+
+// Helper function to write an offset in minutes as +02:00
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  return `${sign}${hours}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// An instant as local ISO 8601 time with its offset, e.g. 2027-03-28T10:00:00+02:00
+const formatLocal = (date, timeZone) => {
+  const instant = new Date(date);
+  const wallClock = toWallClock(instant, timeZone).toISOString().slice(0, 19);
+  return `${wallClock}${formatOffset(offsetMinutes(instant, timeZone))}`;
+};
+
+// An event row with local_date and local_end_date added next to its UTC times
+const withLocalTimes = (event) => {
+  if (!event) return event;
+  
+  const timeZone = event.time_zone || DEFAULT_TIME_ZONE;
+  return {
+    ...event,
+    time_zone: timeZone,
+    local_date: event.date ? formatLocal(event.date, timeZone) : null,
+    local_end_date: event.end_date ? formatLocal(event.end_date, timeZone) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  canonicalTimeZone,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  toInstant,
+  formatLocal,
+  withLocalTimes
+};
@@ -0,0 +1,148 @@
+const { createError } = require('./errors');
+
+// Declarative request validation. A schema lists the expected fields of
+// params, query and body, each with a rule such as:
+//   { type: 'integer', required: true, min: 1 }
+// Types: string, integer, number, boolean, date, email, array (with items).
+// Constraints: min, max, minLength, maxLength, values, pattern and
+// check(value, data) returning an error message for cross-field rules.
+// Values from the URL are coerced to their type, defaults are filled in and
+// only the declared fields are kept.
+//
+// A missing required field or a value of the wrong type is a 400; a
+// well-formed value that breaks a constraint is a 422.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Convert a raw value to the rule's type, or return undefined if it is not of that type
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+      return typeof value === 'string' ? value : undefined;
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    default:
+      throw new Error(`Unknown validation type ${rule.type}`);
+  }
+};
+
+// Check a coerced value against the rule's constraints, returning an error message
+const checkConstraints = (value, rule) => {
+  if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+    return 'must be a valid email address';
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters long`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters long`;
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    return `must be one of ${rule.values.join(', ')}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || 'has an invalid format';
+  }
+  return undefined;
+};
+
+// Validate one field, pushing problems onto details and returning the clean value
+const validateField = (value, rule, field, location, details) => {
+  if (isEmpty(value)) {
+    if (rule.required) {
+      details.push({ status: 400, field, location, message: `${field} is required` });
+    }
+    return typeof rule.default === 'function' ? rule.default() : rule.default;
+  }
+  
+  const coerced = coerce(value, rule);
+  if (coerced === undefined) {
+    const article = /^[aeiou]/.test(rule.type) ? 'an' : 'a';
+    details.push({ status: 400, field, location, message: `${field} must be ${article} ${rule.type}` });
+    return undefined;
+  }
+  
+  const problem = checkConstraints(coerced, rule);
+  if (problem) {
+    details.push({ status: 422, field, location, message: `${field} ${problem}` });
+    return undefined;
+  }
+  
+  if (rule.type === 'array' && rule.items) {
+    return coerced.map((item, index) => validateField(item, { ...rule.items, required: true }, `${field}[${index}]`, location, details));
+  }
+  
+  return coerced;
+};
+
+// Validate an object against a set of field rules, returning the clean value
+// and any problems as { status, field, location, message } details
+const validateObject = (rules, input, location) => {
+  const details = [];
+  const output = {};
+  
+  for (const [field, rule] of Object.entries(rules)) {
+    output[field] = validateField((input || {})[field], rule, field, location, details);
+  }
+  
+  // Cross-field checks run once every field has a clean value
+  for (const [field, rule] of Object.entries(rules)) {
+    if (!rule.check || isEmpty(output[field])) continue;
+    const problem = rule.check(output[field], output);
+    if (problem) {
+      details.push({ status: 422, field, location, message: `${field} ${problem}` });
+    }
+  }
+  
+  return { value: output, details };
+};
+
+// Helper function to turn validation details into a 400 or 422 error
+const validationError = (details) => {
+  const status = details.some((detail) => detail.status === 400) ? 400 : 422;
+  return createError(status, 'Validation failed', details.map(({ status, ...detail }) => detail));
+};
+
+// Middleware validating req.params, req.query and req.body against a schema
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+  
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+    
+    const result = validateObject(schema[location], req[location], location);
+    details.push(...result.details);
+    req[location] = result.value;
+  }
+  
+  if (details.length > 0) {
+    return next(validationError(details));
+  }
+  
+  next();
+};
+
+module.exports = { validate, validateObject };
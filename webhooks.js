@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { BATCH_SIZE, startWorker, runWorkerCommand } = require('./workers');
+
+// Outgoing webhooks. queueWebhook() writes a delivery for each of the organizer's endpoints
+// subscribed to the type, in the same transaction as the change it reports, and a worker
+// POSTs due deliveries, retrying failures with exponential backoff. Every attempt is logged.
+//
+// A delivery is a JSON body { id, type, created_at, data } sent with the headers
+//   X-Webhook-Id         the delivery id, the same on every retry (receivers can dedupe on it)
+//   X-Webhook-Event      the type
+//   X-Webhook-Signature  t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the endpoint's secret>
+// Any 2xx answer counts as delivered.
+
+const WEBHOOK_TYPES = ['booking.created', 'booking.updated', 'booking.cancelled', 'event.updated', 'event.deleted'];
+
+const MAX_ATTEMPTS = 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Helper function to sign a delivery body with an endpoint's secret
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Receivers on private networks (such as a local test receiver) are refused in production
+// unless WEBHOOK_ALLOW_PRIVATE_URLS=true. Only literal hosts are checked, not what names resolve to.
+const PRIVATE_HOST = /^(localhost|127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.|0\.0\.0\.0$|\[(::1?|f[cd][0-9a-f]*:.*)\]$)/i;
+
+const privateUrlsAllowed = () => (process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : process.env.NODE_ENV !== 'production');
+
+// Check a receiver URL, returning an error message if it cannot be used
+const checkWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an http or https URL';
+  }
+  if (!privateUrlsAllowed() && PRIVATE_HOST.test(parsed.hostname)) {
+    return 'url must not point to a private network';
+  }
+  return undefined;
+};
+
+// Queue a notification of the given type about an event for its organizer's endpoints.
+// Runs on the caller's client, so it is only sent if the change commits.
+const queueWebhook = async (client, eventId, type, data) => {
+  await client.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_type, payload)
+     SELECT w.id, $2::text, $3
+     FROM webhook_endpoints w
+     JOIN events e ON e.user_id = w.user_id
+     WHERE e.id = $1 AND w.active AND $2::text = ANY(w.event_types)`,
+    [eventId, type, data]
+  );
+};
+
+// POST one claimed delivery (joined with its endpoint's url and secret), log the attempt
+// and record the outcome. Failures are retried after 1, 2, 4 ... minutes until MAX_ATTEMPTS,
+// or given up on at once without retry. Returns the logged attempt.
+const attemptDelivery = async (delivery, { retry = true } = {}) => {
+  const body = JSON.stringify({
+    id: delivery.id,
+    type: delivery.event_type,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'event-management-webhooks',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) {
+      error = `Receiver answered with status ${response.status}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS} ms` : err.cause?.message || err.message;
+  }
+  
+  const attempt = await pool.query(
+    `INSERT INTO webhook_delivery_attempts (delivery_id, response_status, response_body, error, duration_ms)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [delivery.id, responseStatus, responseBody, error, Date.now() - started]
+  );
+  
+  if (error) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET
+       status = CASE WHEN attempts >= $2 OR NOT $4 THEN 'failed' ELSE 'pending' END,
+       next_attempt_at = NOW() + INTERVAL '1 minute' * power(2, attempts - 1),
+       last_error = $3
+       WHERE id = $1`,
+      [delivery.id, MAX_ATTEMPTS, error, retry]
+    );
+  } else {
+    await pool.query(
+      "UPDATE webhook_deliveries SET status = 'delivered', delivered_at = NOW(), last_error = NULL WHERE id = $1",
+      [delivery.id]
+    );
+  }
+  
+  return attempt.rows[0];
+};
+
+// Send one batch of due deliveries at once, returning how many were attempted (see workers.js)
+const processWebhooks = async () => {
+  const batch = await pool.query(
+    `WITH claimed AS (
+       UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT c.*, w.url, w.secret
+     FROM claimed c
+     JOIN webhook_endpoints w ON c.endpoint_id = w.id
+     ORDER BY c.id`,
+    [BATCH_SIZE]
+  );
+  
+  await Promise.all(batch.rows.map((delivery) => attemptDelivery(delivery)));
+  
+  return batch.rows.length;
+};
+
+// Attempt a delivery right away, whatever its status, for pings and redeliveries.
+// Its retries start over, and with retry unset a failure is final. Returns the attempt.
+const deliverNow = async (deliveryId, { retry = true } = {}) => {
+  const claimed = await pool.query(
+    `UPDATE webhook_deliveries d SET status = 'pending', attempts = 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+     FROM webhook_endpoints w
+     WHERE d.id = $1 AND d.endpoint_id = w.id
+     RETURNING d.*, w.url, w.secret`,
+    [deliveryId]
+  );
+  return attemptDelivery(claimed.rows[0], { retry });
+};
+
+// Poll for due deliveries every WEBHOOK_POLL_MS milliseconds (5 seconds by default),
+// sending batches until none are left. Returns a function that stops the worker.
+const startWebhookWorker = () => startWorker(processWebhooks, 'Webhook', parseInt(process.env.WEBHOOK_POLL_MS) || 5000);
+
+module.exports = {
+  WEBHOOK_TYPES,
+  checkWebhookUrl,
+  queueWebhook,
+  processWebhooks,
+  deliverNow,
+  startWebhookWorker
+};
+
+// Command line: node webhooks.js [worker | once]
+// worker runs the sender on its own (with WEBHOOK_WORKER=false on the servers);
+// once sends what is due and exits
+if (require.main === module) {
+  runWorkerCommand('webhooks.js', {
+    name: 'Webhook',
+    items: 'webhook deliveries',
+    start: startWebhookWorker,
+    processBatch: processWebhooks
+  });
+}
@@ -0,0 +1,72 @@
+const { pool } = require('./db');
+
+// Background workers for the outboxes of notifications, webhooks and refunds. Each
+// outbox has a function that handles one batch of due rows and returns how many it
+// claimed. Claimed rows are leased for five minutes, so a worker that dies mid-batch
+// only delays them, and several workers never handle the same row at once.
+
+const BATCH_SIZE = 20;
+
+// Helper function to handle batches until one comes back short, returning how many rows
+// were handled
+const drain = async (processBatch, isStopped = () => false) => {
+  let handled = 0;
+  let count;
+  do {
+    count = await processBatch();
+    handled += count;
+  } while (count === BATCH_SIZE && !isStopped());
+  return handled;
+};
+
+// Poll every interval milliseconds, handling batches until none are left. Returns a
+// function that stops the worker.
+const startWorker = (processBatch, name, interval) => {
+  let timer;
+  let stopped = false;
+  
+  const poll = async () => {
+    try {
+      await drain(processBatch, () => stopped);
+    } catch (err) {
+      console.error(`${name} worker failed:`, err.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, interval);
+    }
+  };
+  
+  poll();
+  
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+// Command line of a worker module: node <script> [worker | once]. worker starts the
+// worker on its own; once handles what is due and exits.
+const runWorkerCommand = (script, { name, items, start, processBatch }) => {
+  const [command = 'worker'] = process.argv.slice(2);
+  
+  if (command === 'worker') {
+    start();
+    console.log(`${name} worker running`);
+  } else if (command === 'once') {
+    drain(processBatch)
+      .then((handled) => {
+        console.log(`Processed ${handled} ${items}`);
+        return pool.end();
+      })
+      .catch((err) => {
+        console.error(`Sending ${items} failed:`, err);
+        pool.end();
+        process.exitCode = 1;
+      });
+  } else {
+    console.error(`Usage: node ${script} [worker | once]`);
+    process.exit(1);
+  }
+};
+
+module.exports = { BATCH_SIZE, startWorker, runWorkerCommand };